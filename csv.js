@@ -0,0 +1,86 @@
+// CSV helpers for imports and exports
+
+// Parse CSV text into rows of string fields. Handles quoted fields with
+// embedded commas, quotes ("") and line breaks, CRLF line endings and a BOM.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+// Parse CSV text with a header line into objects keyed by the trimmed,
+// lower-cased header names
+const parseCsvRecords = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return { columns: [], records: [] };
+  }
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  const records = rows.map(fields => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = (fields[index] ?? '').trim();
+    });
+    return record;
+  });
+
+  return { columns, records };
+};
+
+// Format one CSV line, quoting fields that contain commas, quotes or line breaks
+const formatCsvRow = (values) => {
+  return values.map(value => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  formatCsvRow
+};
@@ -240,10 +240,46 @@ const initializeDatabase = async () => {
     }
     
     // Initialize inventory tables
-    const { initializeInventoryTable, initializeMaterialShipmentsTable, initializeOrderShipmentsTable } = require('./inventory');
+    const {
+      initializeInventoryTable,
+      initializeMaterialShipmentsTable,
+      initializeOrderShipmentsTable,
+      initializeStockMovementsTable,
+      initializeItemBarcodesTable,
+      initializeStockLevelsTable,
+      initializeTransferOrdersTable,
+      initializeStockLotsTable,
+      initializeItemSerialsTable,
+      initializeUnitsTable,
+      initializeCategoryHierarchy,
+      initializeWarehouseSettings,
+      initializeSoftDelete,
+      initializeChangeHistoryTable,
+      initializeRecordVersions,
+      initializeCycleCountTables,
+      initializeStockReservationsTable,
+      initializeOrderStockDeductions,
+      initializeShipmentReceipts
+    } = require('./inventory');
     await initializeInventoryTable();
     await initializeMaterialShipmentsTable();
     await initializeOrderShipmentsTable();
+    await initializeStockMovementsTable();
+    await initializeItemBarcodesTable();
+    await initializeStockLevelsTable();
+    await initializeTransferOrdersTable();
+    await initializeStockLotsTable();
+    await initializeItemSerialsTable();
+    await initializeUnitsTable();
+    await initializeCategoryHierarchy();
+    await initializeWarehouseSettings();
+    await initializeSoftDelete();
+    await initializeChangeHistoryTable();
+    await initializeRecordVersions();
+    await initializeCycleCountTables();
+    await initializeStockReservationsTable();
+    await initializeOrderStockDeductions();
+    await initializeShipmentReceipts();
     
   } catch (err) {
     console.error('❌ Database initialization error:', err);
@@ -414,7 +450,7 @@ const saveScanHistory = async (scanData) => {
   }
 };
 
-const getScanHistory = async (limit = 100) => {
+const getScanHistory = async (limit = 100, offset = 0) => {
   if (!sql) {
     console.log('⚠️ Database not available, returning empty scan history');
     return [];
@@ -423,8 +459,8 @@ const getScanHistory = async (limit = 100) => {
   try {
     const result = await sql`
       SELECT * FROM scan_history 
-      ORDER BY created_at DESC 
-      LIMIT ${limit}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ${limit} OFFSET ${offset}
     `;
     return result;
   } catch (err) {
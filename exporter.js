@@ -0,0 +1,227 @@
+const ExcelJS = require('exceljs');
+const database = require('./database');
+const {
+  getAllInventoryItems,
+  getAllMaterialShipments,
+  getAllOrderShipments
+} = require('./inventory');
+const { formatCsvRow } = require('./csv');
+
+// Supported export file formats
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Rows fetched from the database per round trip while streaming
+const EXPORT_PAGE_SIZE = 1000;
+
+// Column types decide how values are written: numbers stay numeric and dates
+// become real dates in XLSX and ISO strings in CSV
+const EXCEL_FORMATS = {
+  number: '#,##0.00',
+  integer: '0',
+  date: 'yyyy-mm-dd',
+  datetime: 'yyyy-mm-dd hh:mm:ss'
+};
+
+// Exportable resources: file name, columns and how to fetch one page of rows
+const EXPORT_DEFINITIONS = {
+  inventory: {
+    name: 'inventory',
+    sheet: 'Inventory',
+    columns: [
+      { key: 'item_code', header: 'Item Code' },
+      { key: 'product_name', header: 'Product Name', width: 30 },
+      { key: 'category_id', header: 'Category ID' },
+      { key: 'category_name', header: 'Category' },
+      { key: 'unit_of_measure', header: 'Unit' },
+      { key: 'buy_price', header: 'Buy Price', type: 'number' },
+      { key: 'sell_price', header: 'Sell Price', type: 'number' },
+      { key: 'total_quantity', header: 'Quantity', type: 'integer' },
+      { key: 'reserved_quantity', header: 'Reserved', type: 'integer' },
+      { key: 'available_quantity', header: 'Available', type: 'integer' },
+      { key: 'in_transit_quantity', header: 'In Transit', type: 'integer' },
+      { key: 'min_quantity', header: 'Min Quantity', type: 'integer' },
+      { key: 'reorder_point', header: 'Reorder Point', type: 'integer' },
+      { key: 'reorder_quantity', header: 'Reorder Quantity', type: 'integer' },
+      { key: 'max_quantity', header: 'Max Quantity', type: 'integer' },
+      { key: 'warehouse_id', header: 'Warehouse ID' },
+      { key: 'warehouse_name', header: 'Warehouse' },
+      { key: 'location', header: 'Location' },
+      { key: 'status', header: 'Status' },
+      { key: 'updated_at', header: 'Updated At', type: 'datetime' }
+    ],
+    fetchPage: (filters, limit, offset) => getAllInventoryItems({ ...filters, limit, offset })
+  },
+  material_shipments: {
+    name: 'material-shipments',
+    sheet: 'Material Shipments',
+    columns: [
+      { key: 'shipment_id', header: 'Shipment ID' },
+      { key: 'bom_id', header: 'BOM ID' },
+      { key: 'item_code', header: 'Item Code' },
+      { key: 'category_id', header: 'Category ID' },
+      { key: 'material_name', header: 'Material Name', width: 30 },
+      { key: 'quantity', header: 'Quantity', type: 'integer' },
+      { key: 'unit', header: 'Unit' },
+      { key: 'base_quantity', header: 'Base Quantity', type: 'integer' },
+      { key: 'unit_cost', header: 'Unit Cost', type: 'number' },
+      { key: 'shipment_type', header: 'Type' },
+      { key: 'source', header: 'Source' },
+      { key: 'destination', header: 'Destination' },
+      { key: 'status', header: 'Status' },
+      { key: 'date_shipped', header: 'Date Shipped', type: 'date' },
+      { key: 'estimated_delivery', header: 'Estimated Delivery', type: 'date' },
+      { key: 'received_date', header: 'Received Date', type: 'date' },
+      { key: 'lot_number', header: 'Lot Number' },
+      { key: 'expiry_date', header: 'Expiry Date', type: 'date' },
+      { key: 'handled_by', header: 'Handled By' },
+      { key: 'notes', header: 'Notes', width: 40 },
+      { key: 'created_at', header: 'Created At', type: 'datetime' }
+    ],
+    fetchPage: (filters, limit, offset) => getAllMaterialShipments({ ...filters, limit, offset })
+  },
+  order_shipments: {
+    name: 'order-shipments',
+    sheet: 'Order Shipments',
+    columns: [
+      { key: 'order_id', header: 'Order ID' },
+      { key: 'customer_name', header: 'Customer', width: 25 },
+      { key: 'item_code', header: 'Item Code' },
+      { key: 'product_name', header: 'Product Name', width: 30 },
+      { key: 'quantity', header: 'Quantity', type: 'integer' },
+      { key: 'unit', header: 'Unit' },
+      { key: 'total_value', header: 'Total Value', type: 'number' },
+      { key: 'priority', header: 'Priority' },
+      { key: 'status', header: 'Status' },
+      { key: 'order_date', header: 'Order Date', type: 'date' },
+      { key: 'ship_date', header: 'Ship Date', type: 'date' },
+      { key: 'delivery_date', header: 'Delivery Date', type: 'date' },
+      { key: 'tracking_number', header: 'Tracking Number' },
+      { key: 'notes', header: 'Notes', width: 40 },
+      { key: 'created_at', header: 'Created At', type: 'datetime' }
+    ],
+    fetchPage: (filters, limit, offset) => getAllOrderShipments({ ...filters, limit, offset })
+  },
+  scan_history: {
+    name: 'scan-history',
+    sheet: 'Scan History',
+    columns: [
+      { key: 'id', header: 'ID', type: 'integer' },
+      { key: 'scanned_code', header: 'Scanned Code' },
+      { key: 'scan_type', header: 'Type' },
+      { key: 'item_id', header: 'Item ID', type: 'integer' },
+      { key: 'product_name', header: 'Product Name', width: 30 },
+      { key: 'quantity', header: 'Quantity', type: 'integer' },
+      { key: 'scan_status', header: 'Status' },
+      { key: 'scanned_by', header: 'Scanned By' },
+      { key: 'notes', header: 'Notes', width: 40 },
+      { key: 'created_at', header: 'Scanned At', type: 'datetime' }
+    ],
+    fetchPage: (filters, limit, offset) => database.getScanHistory(limit, offset)
+  }
+};
+
+// Calendar date of a DATE value as YYYY-MM-DD; the driver returns these as
+// local midnight, so local getters keep the day intact
+const formatDate = (value) => {
+  if (!(value instanceof Date)) {
+    return String(value).slice(0, 10);
+  }
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+};
+
+// Convert a database value to what the CSV or XLSX cell should hold
+const toCellValue = (value, type, format) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  switch (type) {
+    case 'number':
+    case 'integer':
+      return Number(value);
+    case 'date': {
+      const date = formatDate(value);
+      return format === 'xlsx' ? new Date(`${date}T00:00:00Z`) : date;
+    }
+    case 'datetime': {
+      const date = value instanceof Date ? value : new Date(value);
+      return format === 'xlsx' ? date : date.toISOString();
+    }
+    default:
+      return String(value);
+  }
+};
+
+// Write to the response, waiting for it to drain when its buffer is full
+const writeChunk = (res, chunk) => new Promise((resolve) => {
+  if (res.write(chunk)) {
+    resolve();
+  } else {
+    res.once('drain', resolve);
+  }
+});
+
+// Yield the rows of a resource page by page, up to maxRows when given
+async function* fetchRows(definition, filters, maxRows) {
+  let offset = 0;
+  while (!maxRows || offset < maxRows) {
+    const limit = maxRows ? Math.min(EXPORT_PAGE_SIZE, maxRows - offset) : EXPORT_PAGE_SIZE;
+    const rows = await definition.fetchPage(filters, limit, offset);
+    for (const row of rows) {
+      yield row;
+    }
+    if (rows.length < limit) {
+      return;
+    }
+    offset += rows.length;
+  }
+}
+
+// Stream a resource to the response as a CSV or XLSX download
+const streamExport = async (res, resource, format, filters = {}, maxRows = null) => {
+  const definition = EXPORT_DEFINITIONS[resource];
+  const fileName = `${definition.name}-${formatDate(new Date())}.${format}`;
+  const { columns } = definition;
+
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    // BOM so Excel opens the file as UTF-8
+    await writeChunk(res, '\uFEFF' + formatCsvRow(columns.map(column => column.header)));
+    for await (const row of fetchRows(definition, filters, maxRows)) {
+      await writeChunk(res, formatCsvRow(columns.map(column => toCellValue(row[column.key], column.type, format))));
+    }
+    res.end();
+    return;
+  }
+
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const worksheet = workbook.addWorksheet(definition.sheet);
+  worksheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: column.width || Math.max(column.header.length + 2, 12),
+    style: EXCEL_FORMATS[column.type] ? { numFmt: EXCEL_FORMATS[column.type] } : undefined
+  }));
+  worksheet.getRow(1).font = { bold: true };
+
+  for await (const row of fetchRows(definition, filters, maxRows)) {
+    const values = {};
+    for (const column of columns) {
+      values[column.key] = toCellValue(row[column.key], column.type, format);
+    }
+    worksheet.addRow(values).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamExport
+};
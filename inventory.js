@@ -1,4 +1,6 @@
 const database = require('./database');
+const { parseCsvRecords } = require('./csv');
+const { validateFields } = require('./validation');
 
 // Initialize inventory table
 const initializeInventoryTable = async () => {
@@ -22,6 +24,15 @@ const initializeInventoryTable = async () => {
       )
     `;
     
+    // Per-item replenishment settings
+    await sql`
+      ALTER TABLE inventory_items
+        ADD COLUMN IF NOT EXISTS min_quantity INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS reorder_point INTEGER,
+        ADD COLUMN IF NOT EXISTS reorder_quantity INTEGER,
+        ADD COLUMN IF NOT EXISTS max_quantity INTEGER
+    `;
+    
     console.log('✅ Inventory table created/verified');
     
     // Create categories table
@@ -108,6 +119,18 @@ const initializeMaterialShipmentsTable = async () => {
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `;  
+
+    // Link shipments to the inventory item they carry
+    await sql`
+      ALTER TABLE material_shipments
+        ADD COLUMN IF NOT EXISTS item_code VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS lot_number VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS expiry_date DATE,
+        ADD COLUMN IF NOT EXISTS unit_cost DECIMAL(10,2)
+    `;
+
+    // Numbers the draft purchase orders raised from replenishment suggestions
+    await sql`CREATE SEQUENCE IF NOT EXISTS replenishment_shipment_seq`;
     console.log('✅ Material shipments table created/verified');
   } catch (err) {
     console.error('❌ Error creating material shipments table:', err);
@@ -146,318 +169,3754 @@ const initializeOrderShipmentsTable = async () => {
   }
 };
 
-// Get all inventory items with optional filters
-const getAllInventoryItems = async (filters = {}) => {
+// Initialize stock movements ledger table
+const initializeStockMovementsTable = async () => {
   try {
     const sql = await database.sql();
-    let query = sql`
-      SELECT 
-        i.*,
-        c.category_name,
-        w.warehouse_name
-      FROM inventory_items i
-      LEFT JOIN categories c ON i.category_id = c.category_id
-      LEFT JOIN warehouses w ON i.warehouse_id = w.warehouse_id
+    await sql`
+      CREATE TABLE IF NOT EXISTS stock_movements (
+        id SERIAL PRIMARY KEY,
+        item_id INTEGER NOT NULL,
+        item_code VARCHAR(50) NOT NULL,
+        warehouse_id VARCHAR(50),
+        quantity_change INTEGER NOT NULL,
+        balance_after INTEGER NOT NULL,
+        reason VARCHAR(50) NOT NULL,
+        reference_type VARCHAR(30),
+        reference_id VARCHAR(100),
+        notes TEXT,
+        created_by VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
     `;
-    
-    let conditions = [];
-    let params = [];
-    
-    if (filters.search) {
-      conditions.push(`(i.product_name ILIKE $${params.length + 1} OR i.item_code ILIKE $${params.length + 1})`);
-      params.push(`%${filters.search}%`);
-    }
-    
-    if (filters.category) {
-      conditions.push(`i.category_id = $${params.length + 1}`);
-      params.push(filters.category);
-    }
-    
-    if (filters.status) {
-      conditions.push(`i.status = $${params.length + 1}`);
-      params.push(filters.status);
-    }
-    
-    if (filters.warehouse) {
-      conditions.push(`i.warehouse_id = $${params.length + 1}`);
-      params.push(filters.warehouse);
-    }
-    
-    if (conditions.length > 0) {
-      const whereClause = ` WHERE ${conditions.join(' AND ')}`;
-      query = sql`
-        SELECT 
-          i.*,
-          c.category_name,
-          w.warehouse_name
-        FROM inventory_items i
-        LEFT JOIN categories c ON i.category_id = c.category_id
-        LEFT JOIN warehouses w ON i.warehouse_id = w.warehouse_id
-        ${sql.unsafe(whereClause)}
-        ORDER BY i.updated_at DESC
-      `;
-    } else {
-      query = sql`
-        SELECT 
-          i.*,
-          c.category_name,
-          w.warehouse_name
-        FROM inventory_items i
-        LEFT JOIN categories c ON i.category_id = c.category_id
-        LEFT JOIN warehouses w ON i.warehouse_id = w.warehouse_id
-        ORDER BY i.updated_at DESC
-      `;
-    }
-    
-    const result = await query;
-    return result;
+    await sql`
+      CREATE INDEX IF NOT EXISTS idx_stock_movements_item
+      ON stock_movements (item_id, created_at DESC)
+    `;
+    await sql`
+      ALTER TABLE stock_movements
+        ADD COLUMN IF NOT EXISTS location VARCHAR(255)
+    `;
+    console.log('✅ Stock movements table created/verified');
   } catch (err) {
-    console.error('Error fetching inventory items:', err);
+    console.error('❌ Error creating stock movements table:', err);
     throw err;
   }
 };
 
-// Get inventory item by ID
-const getInventoryItemById = async (id) => {
+// Initialize item barcode aliases table
+const initializeItemBarcodesTable = async () => {
   try {
     const sql = await database.sql();
-    const result = await sql`
-      SELECT 
-        i.*,
-        c.category_name,
-        w.warehouse_name
-      FROM inventory_items i
-      LEFT JOIN categories c ON i.category_id = c.category_id
-      LEFT JOIN warehouses w ON i.warehouse_id = w.warehouse_id
-      WHERE i.id = ${id}
+    await sql`
+      CREATE TABLE IF NOT EXISTS item_barcodes (
+        id SERIAL PRIMARY KEY,
+        item_id INTEGER NOT NULL REFERENCES inventory_items(id) ON DELETE CASCADE,
+        barcode VARCHAR(100) UNIQUE NOT NULL,
+        barcode_type VARCHAR(20) NOT NULL,
+        description VARCHAR(255),
+        created_by VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
     `;
-    
-    return result[0] || null;
+    await sql`
+      CREATE INDEX IF NOT EXISTS idx_item_barcodes_item ON item_barcodes (item_id)
+    `;
+    console.log('✅ Item barcodes table created/verified');
   } catch (err) {
-    console.error('Error fetching inventory item:', err);
+    console.error('❌ Error creating item barcodes table:', err);
     throw err;
   }
 };
 
-// Create new inventory item
-const createInventoryItem = async (itemData) => {
+// Initialize per-warehouse, per-location stock levels table.
+// inventory_items.total_quantity is kept as the sum of an item's stock levels.
+const initializeStockLevelsTable = async () => {
   try {
     const sql = await database.sql();
-    const {
-      item_code,
-      product_name,
-      unit_of_measure,
-      buy_price,
-      sell_price,
-      location,
-      category_id,
-      status,
-      warehouse_id,
-      total_quantity
-    } = itemData;
-    
-    const result = await sql`
-      INSERT INTO inventory_items (
-        item_code, product_name, unit_of_measure, buy_price, sell_price,
-        location, category_id, status, warehouse_id, total_quantity, updated_at
-      ) VALUES (
-        ${item_code}, ${product_name}, ${unit_of_measure}, ${buy_price}, ${sell_price},
-        ${location}, ${category_id}, ${status}, ${warehouse_id}, ${total_quantity}, CURRENT_TIMESTAMP
+    await sql`
+      CREATE TABLE IF NOT EXISTS stock_levels (
+        id SERIAL PRIMARY KEY,
+        item_id INTEGER NOT NULL REFERENCES inventory_items(id) ON DELETE CASCADE,
+        warehouse_id VARCHAR(50) NOT NULL,
+        location VARCHAR(255) NOT NULL DEFAULT '',
+        quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (item_id, warehouse_id, location)
       )
-      RETURNING *
     `;
-    
-    return result[0];
+    await sql`
+      CREATE INDEX IF NOT EXISTS idx_stock_levels_warehouse ON stock_levels (warehouse_id)
+    `;
+
+    // Seed levels for items that predate this table from their single warehouse and location
+    await sql`
+      INSERT INTO stock_levels (item_id, warehouse_id, location, quantity)
+      SELECT i.id, COALESCE(i.warehouse_id, 'WH001'), COALESCE(i.location, ''), i.total_quantity
+      FROM inventory_items i
+      WHERE i.total_quantity > 0
+        AND NOT EXISTS (SELECT 1 FROM stock_levels s WHERE s.item_id = i.id)
+    `;
+    console.log('✅ Stock levels table created/verified');
   } catch (err) {
-    console.error('Error creating inventory item:', err);
+    console.error('❌ Error creating stock levels table:', err);
     throw err;
   }
 };
 
-// Update inventory item
-const updateInventoryItem = async (id, itemData) => {
+// Initialize inter-warehouse transfer order tables
+const initializeTransferOrdersTable = async () => {
   try {
     const sql = await database.sql();
-    const {
-      item_code,
-      product_name,
-      unit_of_measure,
-      buy_price,
-      sell_price,
-      location,
-      category_id,
-      status,
-      warehouse_id,
-      total_quantity
-    } = itemData;
-    
-    const result = await sql`
-      UPDATE inventory_items SET
-        item_code = ${item_code},
-        product_name = ${product_name},
-        unit_of_measure = ${unit_of_measure},
-        buy_price = ${buy_price},
-        sell_price = ${sell_price},
-        location = ${location},
-        category_id = ${category_id},
-        status = ${status},
-        warehouse_id = ${warehouse_id},
-        total_quantity = ${total_quantity},
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = ${id}
-      RETURNING *
+    await sql`
+      CREATE TABLE IF NOT EXISTS transfer_orders (
+        id SERIAL PRIMARY KEY,
+        transfer_id VARCHAR(50) UNIQUE NOT NULL,
+        source_warehouse_id VARCHAR(50) NOT NULL,
+        destination_warehouse_id VARCHAR(50) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'draft',
+        notes TEXT,
+        created_by VARCHAR(50),
+        picked_at TIMESTAMP,
+        shipped_at TIMESTAMP,
+        received_at TIMESTAMP,
+        received_by VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
     `;
-    
-    return result[0];
+    await sql`
+      CREATE TABLE IF NOT EXISTS transfer_order_lines (
+        id SERIAL PRIMARY KEY,
+        transfer_order_id INTEGER NOT NULL REFERENCES transfer_orders(id) ON DELETE CASCADE,
+        item_id INTEGER NOT NULL,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        source_location VARCHAR(255) NOT NULL DEFAULT '',
+        destination_location VARCHAR(255) NOT NULL DEFAULT '',
+        lots JSONB
+      )
+    `;
+    console.log('✅ Transfer orders tables created/verified');
   } catch (err) {
-    console.error('Error updating inventory item:', err);
+    console.error('❌ Error creating transfer orders tables:', err);
     throw err;
   }
 };
 
-// Delete inventory item
-const deleteInventoryItem = async (id) => {
+// Initialize lot/batch tracking tables
+const initializeStockLotsTable = async () => {
   try {
     const sql = await database.sql();
-    const result = await sql`
-      DELETE FROM inventory_items
-      WHERE id = ${id}
-      RETURNING *
+    await sql`
+      CREATE TABLE IF NOT EXISTS stock_lots (
+        id SERIAL PRIMARY KEY,
+        item_id INTEGER NOT NULL REFERENCES inventory_items(id) ON DELETE CASCADE,
+        lot_number VARCHAR(100) NOT NULL,
+        warehouse_id VARCHAR(50) NOT NULL,
+        location VARCHAR(255) NOT NULL DEFAULT '',
+        quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+        expiry_date DATE,
+        received_date DATE DEFAULT CURRENT_DATE,
+        material_shipment_id INTEGER,
+        expiry_notified_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (item_id, lot_number, warehouse_id, location)
+      )
     `;
-    
-    return result[0];
+    await sql`
+      CREATE INDEX IF NOT EXISTS idx_stock_lots_expiry ON stock_lots (expiry_date) WHERE quantity > 0
+    `;
+    await sql`
+      CREATE TABLE IF NOT EXISTS order_lot_allocations (
+        id SERIAL PRIMARY KEY,
+        order_shipment_id INTEGER NOT NULL REFERENCES order_shipments(id) ON DELETE CASCADE,
+        lot_id INTEGER NOT NULL REFERENCES stock_lots(id) ON DELETE CASCADE,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        consumed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    console.log('✅ Stock lots tables created/verified');
   } catch (err) {
-    console.error('Error deleting inventory item:', err);
+    console.error('❌ Error creating stock lots tables:', err);
     throw err;
   }
 };
 
-// Delete multiple inventory items
-const deleteMultipleInventoryItems = async (ids) => {
+// Initialize serial number tracking tables
+const initializeItemSerialsTable = async () => {
   try {
     const sql = await database.sql();
-    const result = await sql`
-      DELETE FROM inventory_items
-      WHERE id = ANY(${ids})
-      RETURNING *
+    await sql`
+      ALTER TABLE inventory_items
+        ADD COLUMN IF NOT EXISTS is_serialized BOOLEAN DEFAULT false
     `;
-    
-    return result;
+    await sql`
+      CREATE TABLE IF NOT EXISTS item_serials (
+        id SERIAL PRIMARY KEY,
+        item_id INTEGER NOT NULL REFERENCES inventory_items(id) ON DELETE CASCADE,
+        serial_number VARCHAR(100) UNIQUE NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'in_stock',
+        warehouse_id VARCHAR(50),
+        location VARCHAR(255),
+        material_shipment_id INTEGER,
+        order_shipment_id INTEGER,
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        shipped_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    await sql`
+      CREATE TABLE IF NOT EXISTS serial_events (
+        id SERIAL PRIMARY KEY,
+        serial_id INTEGER NOT NULL REFERENCES item_serials(id) ON DELETE CASCADE,
+        event_type VARCHAR(20) NOT NULL,
+        from_status VARCHAR(20),
+        to_status VARCHAR(20) NOT NULL,
+        reference_type VARCHAR(30),
+        reference_id VARCHAR(100),
+        notes TEXT,
+        created_by VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    await sql`
+      CREATE INDEX IF NOT EXISTS idx_item_serials_order ON item_serials (order_shipment_id)
+    `;
+    console.log('✅ Item serials tables created/verified');
   } catch (err) {
-    console.error('Error deleting multiple inventory items:', err);
+    console.error('❌ Error creating item serials tables:', err);
     throw err;
   }
 };
 
-// Get all categories
-const getAllCategories = async () => {
+// Initialize the unit-of-measure catalog and per-item unit conversions
+const initializeUnitsTable = async () => {
   try {
     const sql = await database.sql();
-    const result = await sql`
-      SELECT category_id, category_name 
-      FROM categories 
-      ORDER BY category_id
+    await sql`
+      CREATE TABLE IF NOT EXISTS units_of_measure (
+        unit_code VARCHAR(10) PRIMARY KEY,
+        unit_name VARCHAR(50) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
     `;
-    return result;
+    await sql`
+      INSERT INTO units_of_measure (unit_code, unit_name) VALUES
+        ('pcs', 'Pieces'),
+        ('box', 'Box'),
+        ('case', 'Case'),
+        ('pallet', 'Pallet'),
+        ('set', 'Set'),
+        ('roll', 'Roll'),
+        ('kg', 'Kilogram'),
+        ('g', 'Gram'),
+        ('l', 'Liter'),
+        ('ml', 'Milliliter'),
+        ('m', 'Meter')
+      ON CONFLICT (unit_code) DO NOTHING
+    `;
+    // Keep units already used by items valid
+    await sql`
+      INSERT INTO units_of_measure (unit_code, unit_name)
+      SELECT DISTINCT unit_of_measure, unit_of_measure
+      FROM inventory_items
+      WHERE unit_of_measure IS NOT NULL AND unit_of_measure <> ''
+      ON CONFLICT (unit_code) DO NOTHING
+    `;
+    await sql`
+      CREATE TABLE IF NOT EXISTS item_unit_conversions (
+        id SERIAL PRIMARY KEY,
+        item_id INTEGER NOT NULL REFERENCES inventory_items(id) ON DELETE CASCADE,
+        unit_code VARCHAR(10) NOT NULL REFERENCES units_of_measure(unit_code),
+        factor DECIMAL(14,6) NOT NULL CHECK (factor > 0),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (item_id, unit_code)
+      )
+    `;
+    // Quantities converted to the item's base unit
+    await sql`
+      ALTER TABLE material_shipments
+        ADD COLUMN IF NOT EXISTS base_quantity INTEGER
+    `;
+    await sql`
+      ALTER TABLE order_shipments
+        ADD COLUMN IF NOT EXISTS unit VARCHAR(10),
+        ADD COLUMN IF NOT EXISTS base_quantity INTEGER
+    `;
+    console.log('✅ Units of measure tables created/verified');
   } catch (err) {
-    console.error('Error fetching categories:', err);
+    console.error('❌ Error creating units of measure tables:', err);
     throw err;
   }
 };
 
-// Get all warehouses
-const getAllWarehouses = async () => {
+// Add parent/child nesting to categories
+const initializeCategoryHierarchy = async () => {
   try {
     const sql = await database.sql();
-    const result = await sql`
-      SELECT * FROM warehouses
-      ORDER BY warehouse_name
+    await sql`
+      ALTER TABLE categories
+        ADD COLUMN IF NOT EXISTS parent_category_id VARCHAR(50) REFERENCES categories(category_id),
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     `;
-    
-    return result;
+    console.log('✅ Category hierarchy created/verified');
   } catch (err) {
-    console.error('Error fetching warehouses:', err);
+    console.error('❌ Error creating category hierarchy:', err);
     throw err;
   }
 };
 
-// Get inventory statistics
-const getInventoryStats = async () => {
+// What happens when a receipt or transfer would push a warehouse past its capacity
+const CAPACITY_POLICIES = ['warn', 'block'];
+
+// Add active flag and capacity policy to warehouses
+const initializeWarehouseSettings = async () => {
   try {
     const sql = await database.sql();
-    const totalItems = await sql`SELECT COUNT(*) as count FROM inventory_items`;
-    const activeItems = await sql`SELECT COUNT(*) as count FROM inventory_items WHERE status = 'active'`;
-    const lowStockItems = await sql`SELECT COUNT(*) as count FROM inventory_items WHERE total_quantity < 10`;
-    const totalValue = await sql`SELECT COALESCE(SUM(buy_price * total_quantity), 0) as total FROM inventory_items`;
-    
-    return {
-      totalItems: parseInt(totalItems[0].count),
-      activeItems: parseInt(activeItems[0].count),
-      lowStockItems: parseInt(lowStockItems[0].count),
-      totalValue: parseFloat(totalValue[0].total)
-    };
+    await sql`
+      ALTER TABLE warehouses
+        ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true,
+        ADD COLUMN IF NOT EXISTS capacity_policy VARCHAR(10) NOT NULL DEFAULT 'warn'
+          CHECK (capacity_policy IN ('warn', 'block')),
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    `;
+    console.log('✅ Warehouse settings created/verified');
   } catch (err) {
-    console.error('Error fetching inventory statistics:', err);
+    console.error('❌ Error creating warehouse settings:', err);
     throw err;
   }
 };
 
-// Update item quantity
-const updateItemQuantity = async (id, newQuantity, operation = 'set') => {
+// Add archive columns so deletes of items, shipments and orders can be undone
+const initializeSoftDelete = async () => {
   try {
     const sql = await database.sql();
-    let query;
-    
-    if (operation === 'add') {
-      query = sql`
-        UPDATE inventory_items 
-        SET total_quantity = total_quantity + ${newQuantity}, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ${id}
-        RETURNING *
-      `;
-    } else if (operation === 'subtract') {
-      query = sql`
-        UPDATE inventory_items 
-        SET total_quantity = GREATEST(total_quantity - ${newQuantity}, 0), updated_at = CURRENT_TIMESTAMP
-        WHERE id = ${id}
-        RETURNING *
-      `;
-    } else {
-      query = sql`
-        UPDATE inventory_items 
-        SET total_quantity = ${newQuantity}, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ${id}
-        RETURNING *
-      `;
+    for (const table of ['inventory_items', 'material_shipments', 'order_shipments']) {
+      await sql(`
+        ALTER TABLE ${table}
+          ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(100)
+      `);
     }
-    
-    const result = await query;
-    return result[0];
+    console.log('✅ Soft delete columns created/verified');
   } catch (err) {
-    console.error('Error updating item quantity:', err);
+    console.error('❌ Error creating soft delete columns:', err);
     throw err;
   }
 };
 
-// Get all material shipments with optional filters
-const getAllMaterialShipments = async (filters = {}) => {
+// Create the field-level change history table
+const initializeChangeHistoryTable = async () => {
   try {
     const sql = await database.sql();
-    let query = sql`
-      SELECT * FROM material_shipments
+    await sql`
+      CREATE TABLE IF NOT EXISTS change_history (
+        id SERIAL PRIMARY KEY,
+        resource_type VARCHAR(50) NOT NULL,
+        resource_id INTEGER NOT NULL,
+        field VARCHAR(100) NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        changed_by VARCHAR(100),
+        changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
     `;
-    
-    let conditions = [];
-    let params = [];
-    
-    if (filters.search) {
-      conditions.push(`(material_name ILIKE $${params.length + 1} OR shipment_id ILIKE $${params.length + 1} OR source ILIKE $${params.length + 1})`);
-      params.push(`%${filters.search}%`);
+    await sql`
+      CREATE INDEX IF NOT EXISTS idx_change_history_resource
+      ON change_history (resource_type, resource_id, changed_at)
+    `;
+    console.log('✅ Change history table created/verified');
+  } catch (err) {
+    console.error('❌ Error creating change history table:', err);
+    throw err;
+  }
+};
+
+// Add a version counter to items, shipments and orders for optimistic concurrency
+const initializeRecordVersions = async () => {
+  try {
+    const sql = await database.sql();
+    for (const table of ['inventory_items', 'material_shipments', 'order_shipments']) {
+      await sql(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1`);
     }
-    
-    if (filters.status) {
-      conditions.push(`status = $${params.length + 1}`);
-      params.push(filters.status);
+    console.log('✅ Record versions created/verified');
+  } catch (err) {
+    console.error('❌ Error creating record versions:', err);
+    throw err;
+  }
+};
+
+// Create the cycle count session tables
+const initializeCycleCountTables = async () => {
+  try {
+    const sql = await database.sql();
+    await sql`
+      CREATE TABLE IF NOT EXISTS cycle_counts (
+        id SERIAL PRIMARY KEY,
+        count_id VARCHAR(50) UNIQUE NOT NULL,
+        warehouse_id VARCHAR(50) NOT NULL,
+        zone VARCHAR(255),
+        category_id VARCHAR(50),
+        status VARCHAR(20) NOT NULL DEFAULT 'counting',
+        variance_threshold DECIMAL(12,2) NOT NULL DEFAULT 0,
+        notes TEXT,
+        created_by VARCHAR(50),
+        posted_by VARCHAR(50),
+        posted_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    await sql`
+      CREATE TABLE IF NOT EXISTS cycle_count_lines (
+        id SERIAL PRIMARY KEY,
+        cycle_count_id INTEGER NOT NULL REFERENCES cycle_counts(id) ON DELETE CASCADE,
+        item_id INTEGER NOT NULL,
+        location VARCHAR(255) NOT NULL DEFAULT '',
+        expected_quantity INTEGER NOT NULL,
+        counted_quantity INTEGER CHECK (counted_quantity >= 0),
+        unit_cost DECIMAL(10,2) NOT NULL DEFAULT 0,
+        counted_by VARCHAR(50),
+        counted_at TIMESTAMP,
+        approved_by VARCHAR(50),
+        approved_at TIMESTAMP,
+        UNIQUE (cycle_count_id, item_id, location)
+      )
+    `;
+    console.log('✅ Cycle count tables created/verified');
+  } catch (err) {
+    console.error('❌ Error creating cycle count tables:', err);
+    throw err;
+  }
+};
+
+// Create the stock reservations table; processing orders hold one reservation each
+const initializeStockReservationsTable = async () => {
+  try {
+    const sql = await database.sql();
+    await sql`
+      CREATE TABLE IF NOT EXISTS stock_reservations (
+        id SERIAL PRIMARY KEY,
+        order_shipment_id INTEGER UNIQUE NOT NULL REFERENCES order_shipments(id) ON DELETE CASCADE,
+        item_id INTEGER NOT NULL REFERENCES inventory_items(id) ON DELETE CASCADE,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    await sql`
+      CREATE INDEX IF NOT EXISTS idx_stock_reservations_item ON stock_reservations (item_id)
+    `;
+
+    // Reserve for orders that were already processing before reservations existed
+    await sql`
+      INSERT INTO stock_reservations (order_shipment_id, item_id, quantity)
+      SELECT o.id, i.id, COALESCE(o.base_quantity, o.quantity)
+      FROM order_shipments o
+      JOIN inventory_items i ON i.item_code = o.item_code
+      WHERE o.status = 'processing' AND o.deleted_at IS NULL AND COALESCE(o.base_quantity, o.quantity) > 0
+      ON CONFLICT (order_shipment_id) DO NOTHING
+    `;
+    console.log('✅ Stock reservations table created/verified');
+  } catch (err) {
+    console.error('❌ Error creating stock reservations table:', err);
+    throw err;
+  }
+};
+
+// Record on each order the stock its shipment took, so reverting it can put the stock back
+const initializeOrderStockDeductions = async () => {
+  try {
+    const sql = await database.sql();
+    await sql`
+      ALTER TABLE order_shipments
+        ADD COLUMN IF NOT EXISTS stock_deduction JSONB
+    `;
+    console.log('✅ Order stock deductions created/verified');
+  } catch (err) {
+    console.error('❌ Error creating order stock deductions:', err);
+    throw err;
+  }
+};
+
+// Record what actually arrived on each received shipment, in the item's base unit
+const initializeShipmentReceipts = async () => {
+  try {
+    const sql = await database.sql();
+    await sql`
+      ALTER TABLE material_shipments
+        ADD COLUMN IF NOT EXISTS received_quantity INTEGER,
+        ADD COLUMN IF NOT EXISTS discrepancy_quantity INTEGER
+    `;
+    console.log('✅ Shipment receipts created/verified');
+  } catch (err) {
+    console.error('❌ Error creating shipment receipts:', err);
+    throw err;
+  }
+};
+
+// Sortable columns for inventory listings, keyed by the public sort name
+const INVENTORY_SORT_COLUMNS = {
+  item_code: 'i.item_code',
+  product_name: 'i.product_name',
+  category: 'c.category_name',
+  warehouse: 'w.warehouse_name',
+  status: 'i.status',
+  buy_price: 'i.buy_price',
+  sell_price: 'i.sell_price',
+  total_quantity: 'i.total_quantity',
+  created_at: 'i.created_at',
+  updated_at: 'i.updated_at'
+};
+
+// Archived rows are left out of listings unless archived is 'include' or 'only'
+const ARCHIVED_FILTERS = ['exclude', 'include', 'only'];
+
+// Condition on the deleted_at column for the archived filter, or null for no condition
+const buildArchivedCondition = (column, archived) => {
+  if (archived === 'include') {
+    return null;
+  }
+  return archived === 'only' ? `${column} IS NOT NULL` : `${column} IS NULL`;
+};
+
+// Build the WHERE clause and bound parameters for inventory filters
+const buildInventoryFilters = (filters = {}) => {
+  const conditions = [];
+  const params = [];
+
+  const archivedCondition = buildArchivedCondition('i.deleted_at', filters.archived);
+  if (archivedCondition) {
+    conditions.push(archivedCondition);
+  }
+
+  if (filters.search) {
+    params.push(`%${filters.search}%`);
+    conditions.push(`(i.product_name ILIKE $${params.length} OR i.item_code ILIKE $${params.length})`);
+  }
+
+  if (filters.category) {
+    params.push(filters.category);
+    conditions.push(`i.category_id = $${params.length}`);
+  }
+
+  if (filters.status) {
+    params.push(filters.status);
+    conditions.push(`i.status = $${params.length}`);
+  }
+
+  if (filters.warehouse) {
+    params.push(filters.warehouse);
+    conditions.push(`EXISTS (
+      SELECT 1 FROM stock_levels s
+      WHERE s.item_id = i.id AND s.warehouse_id = $${params.length} AND s.quantity > 0
+    )`);
+  }
+
+  const whereClause = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+  return { whereClause, params };
+};
+
+// Get all inventory items with optional filters, sorting and pagination
+const getAllInventoryItems = async (filters = {}) => {
+  try {
+    const sql = await database.sql();
+    const { whereClause, params } = buildInventoryFilters(filters);
+
+    const sortColumn = INVENTORY_SORT_COLUMNS[filters.sort] || INVENTORY_SORT_COLUMNS.updated_at;
+    const sortOrder = String(filters.order).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+
+    let query = `
+      SELECT 
+        i.*,
+        c.category_name,
+        w.warehouse_name,
+        COALESCE((
+          SELECT json_agg(json_build_object(
+            'warehouse_id', s.warehouse_id,
+            'warehouse_name', sw.warehouse_name,
+            'location', s.location,
+            'quantity', s.quantity
+          ) ORDER BY s.warehouse_id, s.location)
+          FROM stock_levels s
+          LEFT JOIN warehouses sw ON s.warehouse_id = sw.warehouse_id
+          WHERE s.item_id = i.id AND s.quantity > 0
+        ), '[]') AS stock_levels,
+        COALESCE((
+          SELECT SUM(tl.quantity)
+          FROM transfer_order_lines tl
+          JOIN transfer_orders t ON tl.transfer_order_id = t.id
+          WHERE tl.item_id = i.id AND t.status = 'in_transit'
+        ), 0)::integer AS in_transit_quantity,
+        i.total_quantity AS on_hand_quantity,
+        reservations.reserved_quantity,
+        i.total_quantity - reservations.reserved_quantity AS available_quantity
+      FROM inventory_items i
+      LEFT JOIN categories c ON i.category_id = c.category_id
+      LEFT JOIN warehouses w ON i.warehouse_id = w.warehouse_id
+      LEFT JOIN LATERAL (
+        SELECT COALESCE(SUM(r.quantity), 0)::integer AS reserved_quantity
+        FROM stock_reservations r
+        WHERE r.item_id = i.id
+      ) reservations ON true
+      ${whereClause}
+      ORDER BY ${sortColumn} ${sortOrder}, i.id ${sortOrder}
+    `;
+
+    if (filters.limit) {
+      params.push(filters.limit);
+      query += ` LIMIT $${params.length}`;
+      params.push(filters.offset || 0);
+      query += ` OFFSET $${params.length}`;
+    }
+
+    const result = await sql(query, params);
+    return result;
+  } catch (err) {
+    console.error('Error fetching inventory items:', err);
+    throw err;
+  }
+};
+
+// Count inventory items matching the given filters
+const countInventoryItems = async (filters = {}) => {
+  try {
+    const sql = await database.sql();
+    const { whereClause, params } = buildInventoryFilters(filters);
+    const result = await sql(`
+      SELECT COUNT(*) as count
+      FROM inventory_items i
+      ${whereClause}
+    `, params);
+    return parseInt(result[0].count);
+  } catch (err) {
+    console.error('Error counting inventory items:', err);
+    throw err;
+  }
+};
+
+// Get inventory item by ID
+const getInventoryItemById = async (id) => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      SELECT 
+        i.*,
+        c.category_name,
+        w.warehouse_name,
+        COALESCE((
+          SELECT json_agg(json_build_object(
+            'warehouse_id', s.warehouse_id,
+            'warehouse_name', sw.warehouse_name,
+            'location', s.location,
+            'quantity', s.quantity
+          ) ORDER BY s.warehouse_id, s.location)
+          FROM stock_levels s
+          LEFT JOIN warehouses sw ON s.warehouse_id = sw.warehouse_id
+          WHERE s.item_id = i.id AND s.quantity > 0
+        ), '[]') AS stock_levels,
+        COALESCE((
+          SELECT SUM(tl.quantity)
+          FROM transfer_order_lines tl
+          JOIN transfer_orders t ON tl.transfer_order_id = t.id
+          WHERE tl.item_id = i.id AND t.status = 'in_transit'
+        ), 0)::integer AS in_transit_quantity,
+        i.total_quantity AS on_hand_quantity,
+        reservations.reserved_quantity,
+        i.total_quantity - reservations.reserved_quantity AS available_quantity
+      FROM inventory_items i
+      LEFT JOIN categories c ON i.category_id = c.category_id
+      LEFT JOIN warehouses w ON i.warehouse_id = w.warehouse_id
+      LEFT JOIN LATERAL (
+        SELECT COALESCE(SUM(r.quantity), 0)::integer AS reserved_quantity
+        FROM stock_reservations r
+        WHERE r.item_id = i.id
+      ) reservations ON true
+      WHERE i.id = ${id} AND i.deleted_at IS NULL
+    `;
+    
+    return result[0] || null;
+  } catch (err) {
+    console.error('Error fetching inventory item:', err);
+    throw err;
+  }
+};
+
+// Reorder settings of an item; each is optional but must be a non-negative whole number
+const REORDER_FIELDS = ['min_quantity', 'reorder_point', 'reorder_quantity', 'max_quantity'];
+
+// Reject negative or inconsistent reorder settings (min <= reorder point <= max)
+const validateReorderSettings = (itemData) => {
+  for (const field of REORDER_FIELDS) {
+    const value = itemData[field];
+    if (value !== undefined && value !== null && value !== '' &&
+        (!Number.isInteger(Number(value)) || Number(value) < 0)) {
+      throw createInventoryError(`${field} must be a non-negative whole number`);
+    }
+  }
+
+  const { min_quantity, reorder_point, max_quantity } = itemData;
+  const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+  if (isSet(min_quantity) && isSet(reorder_point) && Number(min_quantity) > Number(reorder_point)) {
+    throw createInventoryError('min_quantity cannot be greater than reorder_point');
+  }
+  if (isSet(reorder_point) && isSet(max_quantity) && Number(reorder_point) > Number(max_quantity)) {
+    throw createInventoryError('reorder_point cannot be greater than max_quantity');
+  }
+};
+
+// Raise a warning notification when a stock change takes an item from above
+// its reorder point to at or below it
+const checkReorderPoint = async (item) => {
+  if (!item || item.reorder_point === null || item.previous_quantity === undefined) {
+    return;
+  }
+
+  if (item.previous_quantity > item.reorder_point && item.total_quantity <= item.reorder_point) {
+    await database.createNotification(
+      'Reorder Point Reached',
+      `${item.product_name} (${item.item_code}) is down to ${item.total_quantity} ${item.unit_of_measure}, at or below its reorder point of ${item.reorder_point}`,
+      'warning'
+    );
+  }
+};
+
+// Build the statement that inserts an item together with its opening stock
+// level and ledger entry
+const buildItemInsertQuery = (sql, itemData, movement = {}) => {
+  const {
+      item_code,
+      product_name,
+      unit_of_measure,
+      buy_price,
+      sell_price,
+      location,
+      category_id,
+      status,
+      warehouse_id,
+      total_quantity,
+      min_quantity,
+      reorder_point,
+      reorder_quantity,
+    max_quantity,
+    is_serialized
+  } = itemData;
+
+  return sql`
+    WITH inserted AS (
+      INSERT INTO inventory_items (
+        item_code, product_name, unit_of_measure, buy_price, sell_price,
+        location, category_id, status, warehouse_id, total_quantity,
+        min_quantity, reorder_point, reorder_quantity, max_quantity, is_serialized, updated_at
+      ) VALUES (
+        ${item_code}, ${product_name}, ${unit_of_measure}, ${buy_price}, ${sell_price},
+        ${location}, ${category_id}, ${status}, ${warehouse_id}, ${total_quantity},
+        ${min_quantity || 0}, ${reorder_point ?? null}, ${reorder_quantity ?? null}, ${max_quantity ?? null},
+        ${is_serialized === true}, CURRENT_TIMESTAMP
+      )
+      RETURNING *
+    ),
+    level AS (
+      INSERT INTO stock_levels (item_id, warehouse_id, location, quantity)
+      SELECT id, warehouse_id, location, total_quantity
+      FROM inserted
+      WHERE total_quantity > 0
+    ),
+    movement AS (
+      INSERT INTO stock_movements (
+        item_id, item_code, warehouse_id, location, quantity_change, balance_after,
+        reason, reference_type, reference_id, notes, created_by
+      )
+      SELECT
+        id, item_code, warehouse_id, location, total_quantity, total_quantity,
+        ${movement.reason || 'initial'}, ${movement.reference_type || null}, ${movement.reference_id || null},
+        ${movement.notes || null}, ${movement.user || null}
+      FROM inserted
+      WHERE total_quantity <> 0
+    )
+    SELECT * FROM inserted
+  `;
+};
+
+const ITEM_STATUSES = ['active', 'inactive'];
+
+// Schema of an inventory item, checked on every create and update
+const INVENTORY_ITEM_SCHEMA = {
+  item_code: { type: 'string', required: true },
+  product_name: { type: 'string', required: true },
+  unit_of_measure: { type: 'string', required: true },
+  buy_price: { type: 'number', required: true, min: 0 },
+  sell_price: { type: 'number', min: 0, nullable: true },
+  location: { type: 'string', required: true },
+  category_id: { type: 'string', nullable: true },
+  status: { type: 'string', enum: ITEM_STATUSES, nullable: true },
+  warehouse_id: { type: 'string', nullable: true },
+  total_quantity: { type: 'integer', min: 0, nullable: true },
+  min_quantity: { type: 'integer', min: 0, nullable: true },
+  reorder_point: { type: 'integer', min: 0, nullable: true },
+  reorder_quantity: { type: 'integer', min: 1, nullable: true },
+  max_quantity: { type: 'integer', min: 0, nullable: true }
+};
+
+// Refuse an item code another item already uses. Archived items keep their
+// code, so it cannot be reused until the item is purged from the recycle bin.
+const assertItemCodeAvailable = async (sql, itemCode, exceptId = null) => {
+  const existing = await sql`
+    SELECT deleted_at FROM inventory_items
+    WHERE item_code = ${itemCode} AND id IS DISTINCT FROM ${exceptId}::integer
+  `;
+  if (existing.length > 0) {
+    throw createInventoryError(existing[0].deleted_at
+      ? `Item code ${itemCode} belongs to an item in the recycle bin, restore or purge it first`
+      : `Item code ${itemCode} already exists`, 409);
+  }
+};
+
+// Create new inventory item, recording any opening quantity in the ledger
+const createInventoryItem = async (itemData, movement = {}) => {
+  try {
+    const sql = await database.sql();
+
+    assertValidRecord(INVENTORY_ITEM_SCHEMA, itemData);
+    validateReorderSettings(itemData);
+    await assertKnownUnit(sql, itemData.unit_of_measure);
+
+    if (Number(itemData.total_quantity) > 0 && !itemData.warehouse_id) {
+      throw createInventoryError('warehouse_id is required when creating an item with stock');
+    }
+    await assertItemCodeAvailable(sql, itemData.item_code);
+    const warnings = Number(itemData.total_quantity) > 0
+      ? await checkWarehouseCapacity(sql, { [itemData.warehouse_id]: Number(itemData.total_quantity) })
+      : [];
+    
+    const result = await buildItemInsertQuery(sql, itemData, movement);
+    await notifyCapacityWarnings(warnings);
+    return result[0];
+  } catch (err) {
+    console.error('Error creating inventory item:', err);
+    throw err;
+  }
+};
+
+// Tables whose updates are recorded in the change history, keyed by resource type
+const CHANGE_HISTORY_TABLES = {
+  inventory: 'inventory_items',
+  material_shipments: 'material_shipments',
+  order_shipments: 'order_shipments'
+};
+
+// Columns that change on every write and are left out of the history
+const CHANGE_HISTORY_IGNORED_FIELDS = ['id', 'created_at', 'updated_at', 'version', 'stock_deduction'];
+
+// Take a JSON snapshot of a row before updating it
+const getRowSnapshot = async (sql, resourceType, id) => {
+  const result = await sql(`
+    SELECT to_jsonb(t)::text AS snapshot
+    FROM ${CHANGE_HISTORY_TABLES[resourceType]} t
+    WHERE t.id = $1
+  `, [id]);
+  return result[0] ? result[0].snapshot : null;
+};
+
+// Build the statement that records each field differing between a snapshot
+// and the current row. Run it in the same transaction, after the update.
+const buildChangeHistoryQuery = (sql, resourceType, id, snapshot, user = null) => {
+  return sql(`
+    INSERT INTO change_history (resource_type, resource_id, field, old_value, new_value, changed_by)
+    SELECT $1, $2, n.key, o.value, n.value, $4
+    FROM jsonb_each_text($3::jsonb) o
+    JOIN jsonb_each_text((
+      SELECT to_jsonb(t) FROM ${CHANGE_HISTORY_TABLES[resourceType]} t WHERE t.id = $2
+    )) n ON n.key = o.key
+    WHERE o.value IS DISTINCT FROM n.value
+      AND NOT (n.key = ANY($5))
+  `, [resourceType, id, snapshot, user, CHANGE_HISTORY_IGNORED_FIELDS]);
+};
+
+// Get the recorded field changes of a record, newest first
+const getChangeHistory = async (resourceType, id) => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      SELECT id, field, old_value, new_value, changed_by, changed_at
+      FROM change_history
+      WHERE resource_type = ${resourceType} AND resource_id = ${id}
+      ORDER BY changed_at DESC, id DESC
+    `;
+    return result;
+  } catch (err) {
+    console.error('Error fetching change history:', err);
+    throw err;
+  }
+};
+
+// Update inventory item; quantity changes go through the stock movement ledger
+const updateInventoryItem = async (id, itemData, movement = {}) => {
+  try {
+    const sql = await database.sql();
+    const {
+      item_code,
+      product_name,
+      unit_of_measure,
+      buy_price,
+      sell_price,
+      location,
+      category_id,
+      status,
+      warehouse_id,
+      total_quantity,
+      min_quantity,
+      reorder_point,
+      reorder_quantity,
+      max_quantity,
+      version
+    } = itemData;
+
+    assertValidRecord(INVENTORY_ITEM_SCHEMA, itemData);
+    validateReorderSettings(itemData);
+    await assertKnownUnit(sql, unit_of_measure);
+
+    // Conversion factors are relative to the base unit, so it cannot change under them
+    const conversions = await sql`
+      SELECT c.unit_code FROM item_unit_conversions c
+      JOIN inventory_items i ON c.item_id = i.id
+      WHERE c.item_id = ${id} AND i.unit_of_measure <> ${unit_of_measure}
+    `;
+    if (conversions.length > 0) {
+      throw createInventoryError('Remove the unit conversions of this item before changing its base unit', 409);
+    }
+
+    const snapshot = await getRowSnapshot(sql, 'inventory', id);
+    const current = snapshot ? JSON.parse(snapshot) : null;
+    if (!current || current.deleted_at) {
+      return null;
+    }
+    if (item_code !== current.item_code) {
+      await assertItemCodeAvailable(sql, item_code, id);
+    }
+
+    // A new quantity is booked against the item's default stock level, so it needs a warehouse
+    const quantityChanged = total_quantity !== undefined && total_quantity !== null &&
+      Number(total_quantity) !== current.total_quantity;
+    if (quantityChanged && !warehouse_id) {
+      throw createInventoryError(`No warehouse given for ${item_code}, its quantity cannot be changed`);
+    }
+
+    const queries = [
+      sql`
+        UPDATE inventory_items SET
+          item_code = ${item_code},
+          product_name = ${product_name},
+          unit_of_measure = ${unit_of_measure},
+          buy_price = ${buy_price},
+          sell_price = ${sell_price},
+          location = ${location},
+          category_id = ${category_id},
+          status = ${status},
+          warehouse_id = ${warehouse_id},
+          min_quantity = ${min_quantity || 0},
+          reorder_point = ${reorder_point ?? null},
+          reorder_quantity = ${reorder_quantity ?? null},
+          max_quantity = ${max_quantity ?? null},
+          version = CASE WHEN ${version ?? null}::integer IS NULL OR version = ${version ?? null}::integer THEN version + 1 END,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${id}
+        RETURNING *
+      `
+    ];
+
+    if (quantityChanged) {
+      queries.push(buildStockChangeQuery(sql, id, total_quantity, 'set', {
+        reason: 'manual_update',
+        ...movement
+      }, { strict: true }));
+    }
+
+    const itemIndex = queries.length - 1;
+    queries.push(buildChangeHistoryQuery(sql, 'inventory', id, snapshot, movement.user));
+
+    let results;
+    try {
+      results = await sql.transaction(queries);
+    } catch (err) {
+      if (isVersionConflictError(err)) {
+        throw createVersionConflictError(`Item ${item_code}`, await getInventoryItemById(id));
+      }
+      if (isInsufficientStockError(err)) {
+        // The default level cannot absorb the drop when stock is held at other levels
+        const levelWarehouse = movement.warehouse_id || warehouse_id;
+        const levelLocation = movement.location || location || '';
+        const [held] = await sql`
+          SELECT i.total_quantity - COALESCE(s.quantity, 0) AS quantity
+          FROM inventory_items i
+          LEFT JOIN stock_levels s
+            ON s.item_id = i.id AND s.warehouse_id = ${levelWarehouse} AND s.location = ${levelLocation}
+          WHERE i.id = ${id}
+        `;
+        throw createInventoryError(
+          `Insufficient stock for ${item_code} at ${levelWarehouse}${levelLocation ? ` / ${levelLocation}` : ''}, ` +
+          `cannot set ${total_quantity}: ${held.quantity} held at other levels, ${held.quantity - Number(total_quantity)} short`,
+          409
+        );
+      }
+      throw err;
+    }
+    const updatedItem = results[itemIndex][0];
+    await checkReorderPoint(updatedItem);
+    return updatedItem;
+  } catch (err) {
+    console.error('Error updating inventory item:', err);
+    throw err;
+  }
+};
+
+// Change only the supplied fields of an inventory item. The write is checked
+// against the version read here (or the one the client saw), so a concurrent
+// update fails with a 409 instead of being overwritten.
+const patchInventoryItem = async (id, changes, movement = {}) => {
+  try {
+    const { version, ...fields } = changes;
+    const errors = validateFields(INVENTORY_ITEM_SCHEMA, fields, { partial: true });
+    if (errors.length > 0) {
+      throw createValidationError(errors);
+    }
+
+    const current = await getInventoryItemById(id);
+    if (!current) {
+      return null;
+    }
+
+    // Stock only moves when a quantity is supplied
+    return await updateInventoryItem(id, {
+      ...current,
+      total_quantity: undefined,
+      ...fields,
+      version: version ?? current.version
+    }, movement);
+  } catch (err) {
+    console.error('Error patching inventory item:', err);
+    throw err;
+  }
+};
+
+// Columns accepted by the inventory CSV import
+const IMPORT_REQUIRED_COLUMNS = ['item_code', 'product_name', 'unit_of_measure', 'buy_price', 'location'];
+const IMPORT_OPTIONAL_COLUMNS = [
+  'category_id', 'sell_price', 'status', 'warehouse_id', 'total_quantity',
+  'min_quantity', 'reorder_point', 'reorder_quantity', 'max_quantity'
+];
+const IMPORT_MODES = ['insert', 'upsert'];
+
+// Validate one CSV record and turn it into item data, collecting every error
+const prepareImportRecord = (record, columns, lookups) => {
+  const errors = [];
+  const item = {};
+
+  for (const column of IMPORT_REQUIRED_COLUMNS) {
+    if (!record[column]) {
+      errors.push(`${column} is required`);
+    }
+  }
+  item.item_code = record.item_code;
+  item.product_name = record.product_name;
+  item.unit_of_measure = record.unit_of_measure;
+  item.location = record.location;
+  item.category_id = record.category_id || null;
+
+  for (const column of ['buy_price', 'sell_price']) {
+    if (record[column] === undefined || record[column] === '') {
+      item[column] = null;
+    } else if (isNaN(Number(record[column])) || Number(record[column]) < 0) {
+      errors.push(`${column} must be a non-negative number, got "${record[column]}"`);
+    } else {
+      item[column] = Number(record[column]);
+    }
+  }
+
+  for (const column of ['total_quantity', ...REORDER_FIELDS]) {
+    if (record[column] === undefined || record[column] === '') {
+      item[column] = null;
+    } else if (!Number.isInteger(Number(record[column])) || Number(record[column]) < 0) {
+      errors.push(`${column} must be a non-negative whole number, got "${record[column]}"`);
+    } else {
+      item[column] = Number(record[column]);
+    }
+  }
+
+  if (record.category_id && !lookups.categories.has(record.category_id)) {
+    errors.push(`Unknown category "${record.category_id}"`);
+  }
+  if (record.warehouse_id && !lookups.warehouses.has(record.warehouse_id)) {
+    errors.push(`Unknown warehouse "${record.warehouse_id}"`);
+  }
+  if (record.unit_of_measure && !lookups.units.has(record.unit_of_measure)) {
+    errors.push(`Unknown unit "${record.unit_of_measure}"`);
+  }
+  if (record.status && !ITEM_STATUSES.includes(record.status)) {
+    errors.push(`status must be one of ${ITEM_STATUSES.join(', ')}`);
+  }
+
+  try {
+    validateReorderSettings(item);
+  } catch (err) {
+    errors.push(err.message);
+  }
+
+  item.warehouse_id = record.warehouse_id || null;
+  item.status = record.status || 'active';
+  item.columns = columns;
+  item.blank_columns = columns.filter(column => record[column] === undefined || record[column] === '');
+
+  return { item, errors };
+};
+
+// Build the statement that updates an existing item from an import row.
+// Only the columns present in the file are written; blank cells keep the
+// item's current value, defaults are for new items only.
+const buildImportUpdateQuery = (sql, id, item) => {
+  const fields = [
+    'product_name', 'unit_of_measure', 'buy_price', 'location',
+    ...IMPORT_OPTIONAL_COLUMNS.filter(column => column !== 'total_quantity')
+  ].filter(column => item.columns.includes(column) && !item.blank_columns.includes(column));
+
+  const params = [id];
+  const assignments = fields.map(column => {
+    params.push(column === 'min_quantity' ? item[column] || 0 : item[column]);
+    return `${column} = $${params.length}`;
+  });
+
+  return sql(`
+    UPDATE inventory_items SET
+      ${[...assignments, 'version = version + 1', 'updated_at = CURRENT_TIMESTAMP'].join(',\n      ')}
+    WHERE id = $1
+    RETURNING *
+  `, params);
+};
+
+// Import inventory items from CSV. Every row is validated first; a dry run only
+// reports the result, otherwise all rows are written in a single transaction,
+// and nothing is written when any row has an error. 'insert' mode refuses
+// existing item codes, 'upsert' updates them and sets their stock to the given quantity.
+const importInventoryItems = async (csvText, options = {}) => {
+  try {
+    const sql = await database.sql();
+    const mode = options.mode || 'insert';
+    const dryRun = options.dryRun !== false;
+
+    if (!IMPORT_MODES.includes(mode)) {
+      throw createInventoryError(`Invalid import mode. Allowed: ${IMPORT_MODES.join(', ')}`);
+    }
+
+    const { columns, records } = parseCsvRecords(csvText);
+    const missingColumns = IMPORT_REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+    if (missingColumns.length > 0) {
+      throw createInventoryError(`Missing required column(s): ${missingColumns.join(', ')}`);
+    }
+    if (records.length === 0) {
+      throw createInventoryError('The file has no data rows');
+    }
+
+    const [categories, warehouses, units, existing] = await Promise.all([
+      sql`SELECT category_id FROM categories`,
+      sql`SELECT warehouse_id FROM warehouses`,
+      sql`SELECT unit_code FROM units_of_measure`,
+      sql`
+        SELECT
+          i.id, i.item_code, i.unit_of_measure, i.warehouse_id, i.deleted_at,
+          EXISTS (SELECT 1 FROM item_unit_conversions c WHERE c.item_id = i.id) AS has_conversions
+        FROM inventory_items i
+        WHERE i.item_code = ANY(${records.map(record => record.item_code)})
+      `
+    ]);
+    const lookups = {
+      categories: new Set(categories.map(row => row.category_id)),
+      warehouses: new Set(warehouses.map(row => row.warehouse_id)),
+      units: new Set(units.map(row => row.unit_code))
+    };
+    const existingItems = new Map(existing.map(row => [row.item_code, row]));
+
+    const seenCodes = new Map();
+    const rows = records.map((record, index) => {
+      // Row numbers match the file, counting the header as line 1
+      const line = index + 2;
+      const { item, errors } = prepareImportRecord(record, columns, lookups);
+      const current = existingItems.get(item.item_code);
+
+      if (item.item_code && seenCodes.has(item.item_code)) {
+        errors.push(`Duplicate item_code "${item.item_code}", also on row ${seenCodes.get(item.item_code)}`);
+      } else if (item.item_code) {
+        seenCodes.set(item.item_code, line);
+      }
+      if (current && current.deleted_at) {
+        errors.push(`item_code "${item.item_code}" belongs to an item in the recycle bin`);
+      } else if (current && mode === 'insert') {
+        errors.push(`item_code "${item.item_code}" already exists`);
+      } else if (current && current.has_conversions && item.unit_of_measure && item.unit_of_measure !== current.unit_of_measure) {
+        // Conversion factors are relative to the base unit, so it cannot change under them
+        errors.push(`unit_of_measure cannot change from ${current.unit_of_measure} while the item has unit conversions`);
+      }
+      if (item.total_quantity > 0 && !item.warehouse_id && !(current && current.warehouse_id)) {
+        errors.push('warehouse_id is required for rows with stock');
+      }
+
+      return { line, item, errors, action: current ? 'update' : 'insert', current };
+    });
+
+    const invalid = rows.filter(row => row.errors.length > 0);
+    const summary = {
+      dry_run: dryRun,
+      mode,
+      total_rows: rows.length,
+      valid_rows: rows.length - invalid.length,
+      to_insert: rows.filter(row => row.errors.length === 0 && row.action === 'insert').length,
+      to_update: rows.filter(row => row.errors.length === 0 && row.action === 'update').length,
+      errors: invalid.map(row => ({ row: row.line, item_code: row.item.item_code, errors: row.errors })),
+      committed: false
+    };
+
+    if (dryRun) {
+      return summary;
+    }
+
+    if (invalid.length > 0) {
+      await database.createNotification(
+        'Inventory Import Failed',
+        `Import by ${options.user || 'unknown'} was rejected: ${invalid.length} of ${rows.length} row(s) have errors`,
+        'error'
+      );
+      return summary;
+    }
+
+    // Net stock each warehouse gains: new items add their quantity, updated
+    // items move their level to the given quantity
+    const levels = await sql`
+      SELECT item_id, warehouse_id, location, quantity FROM stock_levels
+      WHERE item_id = ANY(${rows.filter(row => row.current).map(row => row.current.id)}::integer[])
+    `;
+    const additions = {};
+    for (const row of rows) {
+      const warehouseId = row.item.warehouse_id || (row.current && row.current.warehouse_id);
+      if (row.item.total_quantity === null || !warehouseId) {
+        continue;
+      }
+      const level = row.current && levels.find(l =>
+        l.item_id === row.current.id && l.warehouse_id === warehouseId && l.location === row.item.location
+      );
+      additions[warehouseId] = (additions[warehouseId] || 0) + row.item.total_quantity - (level ? level.quantity : 0);
+    }
+    const warnings = await checkWarehouseCapacity(sql, additions);
+
+    const movement = {
+      reason: 'import',
+      reference_type: 'import',
+      reference_id: options.fileName || null,
+      user: options.user || null
+    };
+    const queries = [];
+    for (const row of rows) {
+      if (row.action === 'insert') {
+        queries.push(buildItemInsertQuery(sql, { ...row.item, total_quantity: row.item.total_quantity || 0 }, movement));
+        continue;
+      }
+
+      queries.push(buildImportUpdateQuery(sql, row.current.id, row.item));
+      if (row.item.total_quantity !== null) {
+        queries.push(buildStockChangeQuery(sql, row.current.id, row.item.total_quantity, 'set', {
+          ...movement,
+          warehouse_id: row.item.warehouse_id || undefined,
+          location: row.item.location
+        }));
+      }
+    }
+
+    await sql.transaction(queries);
+
+    await database.createNotification(
+      'Inventory Import Completed',
+      `${options.user || 'unknown'} imported ${rows.length} item(s): ${summary.to_insert} added, ${summary.to_update} updated`,
+      'success'
+    );
+    await notifyCapacityWarnings(warnings);
+
+    return { ...summary, committed: true, warnings };
+  } catch (err) {
+    console.error('Error importing inventory items:', err);
+    throw err;
+  }
+};
+
+// Move an inventory item to the recycle bin
+const deleteInventoryItem = async (id, user = null) => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      UPDATE inventory_items SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ${user}
+      WHERE id = ${id} AND deleted_at IS NULL
+      RETURNING *
+    `;
+    
+    return result[0];
+  } catch (err) {
+    console.error('Error deleting inventory item:', err);
+    throw err;
+  }
+};
+
+// Move multiple inventory items to the recycle bin
+const deleteMultipleInventoryItems = async (ids, user = null) => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      UPDATE inventory_items SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ${user}
+      WHERE id = ANY(${ids}) AND deleted_at IS NULL
+      RETURNING *
+    `;
+    
+    return result;
+  } catch (err) {
+    console.error('Error deleting multiple inventory items:', err);
+    throw err;
+  }
+};
+
+// Alternate barcode types that can be registered against an item
+const BARCODE_TYPES = ['upc', 'ean', 'supplier', 'internal'];
+
+// Resolve a scanned code to an inventory item by item code or registered barcode
+const findInventoryItemByCode = async (code) => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      SELECT 
+        i.*,
+        c.category_name,
+        w.warehouse_name,
+        b.barcode AS matched_barcode,
+        b.barcode_type AS matched_barcode_type,
+        i.total_quantity AS on_hand_quantity,
+        reservations.reserved_quantity,
+        i.total_quantity - reservations.reserved_quantity AS available_quantity
+      FROM inventory_items i
+      LEFT JOIN categories c ON i.category_id = c.category_id
+      LEFT JOIN warehouses w ON i.warehouse_id = w.warehouse_id
+      LEFT JOIN LATERAL (
+        SELECT COALESCE(SUM(r.quantity), 0)::integer AS reserved_quantity
+        FROM stock_reservations r
+        WHERE r.item_id = i.id
+      ) reservations ON true
+      LEFT JOIN item_barcodes b ON b.item_id = i.id AND b.barcode = ${code}
+      WHERE (i.item_code = ${code} OR b.barcode = ${code})
+        AND i.deleted_at IS NULL
+      ORDER BY (i.item_code = ${code}) DESC
+      LIMIT 1
+    `;
+
+    return result[0] || null;
+  } catch (err) {
+    console.error('Error looking up item by code:', err);
+    throw err;
+  }
+};
+
+// Get the alternate barcodes registered for an item
+const getItemBarcodes = async (itemId) => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      SELECT * FROM item_barcodes
+      WHERE item_id = ${itemId}
+      ORDER BY created_at
+    `;
+    return result;
+  } catch (err) {
+    console.error('Error fetching item barcodes:', err);
+    throw err;
+  }
+};
+
+// Make sure a barcode is not already in use as another item's code or alias
+const assertBarcodeAvailable = async (sql, barcode, itemId, barcodeId = null) => {
+  const conflicts = await sql`
+    SELECT item_code AS code FROM inventory_items
+    WHERE item_code = ${barcode} AND id <> ${itemId}
+    UNION ALL
+    SELECT barcode AS code FROM item_barcodes
+    WHERE barcode = ${barcode} AND id IS DISTINCT FROM ${barcodeId}
+  `;
+
+  if (conflicts.length > 0) {
+    throw createInventoryError(`Barcode ${barcode} is already assigned`, 409);
+  }
+};
+
+// Register an alternate barcode for an item
+const createItemBarcode = async (itemId, barcodeData) => {
+  try {
+    const sql = await database.sql();
+    const { barcode, barcode_type, description, created_by } = barcodeData;
+
+    if (!BARCODE_TYPES.includes(barcode_type)) {
+      throw createInventoryError(`Invalid barcode type. Allowed: ${BARCODE_TYPES.join(', ')}`);
+    }
+
+    await assertBarcodeAvailable(sql, barcode, itemId);
+
+    const result = await sql`
+      INSERT INTO item_barcodes (item_id, barcode, barcode_type, description, created_by)
+      VALUES (${itemId}, ${barcode}, ${barcode_type}, ${description || null}, ${created_by || null})
+      RETURNING *
+    `;
+    return result[0];
+  } catch (err) {
+    console.error('Error creating item barcode:', err);
+    throw err;
+  }
+};
+
+// Update an alternate barcode of an item
+const updateItemBarcode = async (itemId, barcodeId, barcodeData) => {
+  try {
+    const sql = await database.sql();
+    const { barcode, barcode_type, description } = barcodeData;
+
+    if (!BARCODE_TYPES.includes(barcode_type)) {
+      throw createInventoryError(`Invalid barcode type. Allowed: ${BARCODE_TYPES.join(', ')}`);
+    }
+
+    await assertBarcodeAvailable(sql, barcode, itemId, barcodeId);
+
+    const result = await sql`
+      UPDATE item_barcodes SET
+        barcode = ${barcode},
+        barcode_type = ${barcode_type},
+        description = ${description || null}
+      WHERE id = ${barcodeId} AND item_id = ${itemId}
+      RETURNING *
+    `;
+    return result[0];
+  } catch (err) {
+    console.error('Error updating item barcode:', err);
+    throw err;
+  }
+};
+
+// Remove an alternate barcode from an item
+const deleteItemBarcode = async (itemId, barcodeId) => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      DELETE FROM item_barcodes
+      WHERE id = ${barcodeId} AND item_id = ${itemId}
+      RETURNING *
+    `;
+    return result[0];
+  } catch (err) {
+    console.error('Error deleting item barcode:', err);
+    throw err;
+  }
+};
+
+// Get all categories with their place in the hierarchy, ordered as a tree
+const getAllCategories = async () => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      WITH RECURSIVE tree AS (
+        SELECT c.*, 0 AS depth, c.category_name::text AS path
+        FROM categories c
+        WHERE c.parent_category_id IS NULL
+        UNION ALL
+        SELECT c.*, t.depth + 1, t.path || ' > ' || c.category_name
+        FROM categories c
+        JOIN tree t ON c.parent_category_id = t.category_id
+      )
+      SELECT 
+        category_id, category_name, description, parent_category_id,
+        depth, path, created_at, updated_at
+      FROM tree
+      ORDER BY path
+    `;
+    return result;
+  } catch (err) {
+    console.error('Error fetching categories:', err);
+    throw err;
+  }
+};
+
+// Get one category with its path and direct children
+const getCategoryById = async (categoryId) => {
+  try {
+    const categories = await getAllCategories();
+    const category = categories.find(row => row.category_id === categoryId);
+    if (!category) {
+      return null;
+    }
+
+    return {
+      ...category,
+      children: categories.filter(row => row.parent_category_id === categoryId)
+    };
+  } catch (err) {
+    console.error('Error fetching category:', err);
+    throw err;
+  }
+};
+
+// Reject a parent that does not exist or would put the category inside its own subtree
+const assertValidParentCategory = async (sql, categoryId, parentId) => {
+  if (!parentId) {
+    return;
+  }
+  if (parentId === categoryId) {
+    throw createInventoryError('A category cannot be its own parent');
+  }
+
+  const parents = await sql`
+    WITH RECURSIVE ancestors AS (
+      SELECT category_id, parent_category_id FROM categories WHERE category_id = ${parentId}
+      UNION ALL
+      SELECT c.category_id, c.parent_category_id
+      FROM categories c
+      JOIN ancestors a ON c.category_id = a.parent_category_id
+    )
+    SELECT category_id FROM ancestors
+  `;
+  if (parents.length === 0) {
+    throw createInventoryError(`Unknown parent category "${parentId}"`);
+  }
+  if (categoryId && parents.some(row => row.category_id === categoryId)) {
+    throw createInventoryError(`Category ${parentId} is inside ${categoryId} and cannot be its parent`);
+  }
+};
+
+// Create a category; the id defaults to the next CATnnn code
+const createCategory = async (categoryData) => {
+  try {
+    const sql = await database.sql();
+    const { category_name, description, parent_category_id } = categoryData;
+
+    if (!category_name) {
+      throw createInventoryError('category_name is required');
+    }
+    await assertValidParentCategory(sql, null, parent_category_id);
+
+    let categoryId = categoryData.category_id;
+    if (!categoryId) {
+      const next = await sql`
+        SELECT COALESCE(MAX(SUBSTRING(category_id FROM 4)::integer), 0) + 1 AS number
+        FROM categories
+        WHERE category_id ~ '^CAT[0-9]+$'
+      `;
+      categoryId = `CAT${String(next[0].number).padStart(3, '0')}`;
+    }
+
+    const result = await sql`
+      INSERT INTO categories (category_id, category_name, description, parent_category_id)
+      VALUES (${categoryId}, ${category_name}, ${description || null}, ${parent_category_id || null})
+      ON CONFLICT (category_id) DO NOTHING
+      RETURNING *
+    `;
+    if (result.length === 0) {
+      throw createInventoryError(`Category ${categoryId} already exists`, 409);
+    }
+    return result[0];
+  } catch (err) {
+    console.error('Error creating category:', err);
+    throw err;
+  }
+};
+
+// Update a category's name, description or parent
+const updateCategory = async (categoryId, categoryData) => {
+  try {
+    const sql = await database.sql();
+    const { category_name, description, parent_category_id } = categoryData;
+
+    if (!category_name) {
+      throw createInventoryError('category_name is required');
+    }
+    await assertValidParentCategory(sql, categoryId, parent_category_id);
+
+    const result = await sql`
+      UPDATE categories SET
+        category_name = ${category_name},
+        description = ${description || null},
+        parent_category_id = ${parent_category_id || null},
+        updated_at = CURRENT_TIMESTAMP
+      WHERE category_id = ${categoryId}
+      RETURNING *
+    `;
+    return result[0];
+  } catch (err) {
+    console.error('Error updating category:', err);
+    throw err;
+  }
+};
+
+// Delete a category that has no subcategories and is not used by items or shipments
+const deleteCategory = async (categoryId) => {
+  try {
+    const sql = await database.sql();
+    const usage = await sql`
+      SELECT
+        (SELECT COUNT(*) FROM categories WHERE parent_category_id = ${categoryId}) AS children,
+        (SELECT COUNT(*) FROM inventory_items WHERE category_id = ${categoryId}) AS items,
+        (SELECT COUNT(*) FROM material_shipments WHERE category_id = ${categoryId}) AS shipments
+    `;
+    const children = parseInt(usage[0].children);
+    const items = parseInt(usage[0].items);
+    const shipments = parseInt(usage[0].shipments);
+
+    if (children + items + shipments > 0) {
+      const uses = [
+        children && `${children} subcategor${children === 1 ? 'y' : 'ies'}`,
+        items && `${items} inventory item(s)`,
+        shipments && `${shipments} material shipment(s)`
+      ].filter(Boolean);
+      throw createInventoryError(`Category ${categoryId} is still used by ${uses.join(', ')}`, 409);
+    }
+
+    const result = await sql`
+      DELETE FROM categories WHERE category_id = ${categoryId}
+      RETURNING *
+    `;
+    return result[0];
+  } catch (err) {
+    console.error('Error deleting category:', err);
+    throw err;
+  }
+};
+
+// Item counts, quantities and values per category, each including its whole subtree.
+// Values come from the inventory valuation with the given costing method.
+const getCategoryRollups = async (options = {}) => {
+  try {
+    const sql = await database.sql();
+    const [categories, counts, valuation] = await Promise.all([
+      getAllCategories(),
+      sql`
+        SELECT category_id, COUNT(*) AS item_count, COALESCE(SUM(total_quantity), 0) AS total_quantity
+        FROM inventory_items
+        WHERE deleted_at IS NULL
+        GROUP BY category_id
+      `,
+      getInventoryValuation({ method: options.method })
+    ]);
+
+    const direct = new Map();
+    for (const row of counts) {
+      direct.set(row.category_id, {
+        item_count: parseInt(row.item_count),
+        total_quantity: parseInt(row.total_quantity),
+        cost_value: 0,
+        selling_value: 0
+      });
+    }
+    for (const row of valuation.categories) {
+      const entry = direct.get(row.category_id);
+      if (entry) {
+        entry.cost_value = row.cost_value;
+        entry.selling_value = row.selling_value;
+      }
+    }
+
+    const rollup = (categoryId) => {
+      const own = direct.get(categoryId) || { item_count: 0, total_quantity: 0, cost_value: 0, selling_value: 0 };
+      const total = { ...own };
+      for (const child of categories.filter(row => row.parent_category_id === categoryId)) {
+        const sub = rollup(child.category_id);
+        total.item_count += sub.item_count;
+        total.total_quantity += sub.total_quantity;
+        total.cost_value += sub.cost_value;
+        total.selling_value += sub.selling_value;
+      }
+      return total;
+    };
+
+    return categories.map(category => {
+      const total = rollup(category.category_id);
+      return {
+        ...category,
+        direct_item_count: (direct.get(category.category_id) || { item_count: 0 }).item_count,
+        item_count: total.item_count,
+        total_quantity: total.total_quantity,
+        cost_value: roundMoney(total.cost_value),
+        selling_value: roundMoney(total.selling_value),
+        potential_profit: roundMoney(total.selling_value - total.cost_value)
+      };
+    });
+  } catch (err) {
+    console.error('Error building category rollups:', err);
+    throw err;
+  }
+};
+
+// Get all warehouses
+const getAllWarehouses = async (filters = {}) => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      SELECT
+        w.*,
+        COALESCE(s.used_quantity, 0)::integer AS used_quantity,
+        CASE WHEN w.capacity IS NOT NULL
+          THEN w.capacity - COALESCE(s.used_quantity, 0)::integer
+        END AS available_capacity,
+        CASE WHEN w.capacity > 0
+          THEN ROUND(COALESCE(s.used_quantity, 0) * 100.0 / w.capacity, 1)::float
+        END AS utilization_percent
+      FROM warehouses w
+      LEFT JOIN (
+        SELECT s.warehouse_id, SUM(s.quantity) AS used_quantity
+        FROM stock_levels s
+        JOIN inventory_items i ON s.item_id = i.id AND i.deleted_at IS NULL
+        GROUP BY s.warehouse_id
+      ) s ON s.warehouse_id = w.warehouse_id
+      WHERE (${filters.active === true} = false OR w.is_active)
+        AND (${filters.warehouseId || null}::varchar IS NULL OR w.warehouse_id = ${filters.warehouseId || null})
+      ORDER BY w.warehouse_name
+    `;
+    
+    return result;
+  } catch (err) {
+    console.error('Error fetching warehouses:', err);
+    throw err;
+  }
+};
+
+// Get a warehouse with its utilization
+const getWarehouseById = async (warehouseId) => {
+  try {
+    const result = await getAllWarehouses({ warehouseId });
+    return result[0];
+  } catch (err) {
+    console.error('Error fetching warehouse:', err);
+    throw err;
+  }
+};
+
+// Check warehouse settings shared by create and update
+const validateWarehouseData = (warehouseData) => {
+  const { warehouse_name, capacity, capacity_policy } = warehouseData;
+
+  if (!warehouse_name) {
+    throw createInventoryError('warehouse_name is required');
+  }
+  if (capacity !== undefined && capacity !== null && capacity !== '' &&
+      (!Number.isInteger(Number(capacity)) || Number(capacity) < 0)) {
+    throw createInventoryError('Capacity must be a non-negative whole number');
+  }
+  if (capacity_policy && !CAPACITY_POLICIES.includes(capacity_policy)) {
+    throw createInventoryError(`Invalid capacity policy. Allowed: ${CAPACITY_POLICIES.join(', ')}`);
+  }
+};
+
+// Create a warehouse; the id defaults to the next WHnnn code
+const createWarehouse = async (warehouseData) => {
+  try {
+    const sql = await database.sql();
+    validateWarehouseData(warehouseData);
+    const { warehouse_name, location, capacity, capacity_policy } = warehouseData;
+
+    let warehouseId = warehouseData.warehouse_id;
+    if (!warehouseId) {
+      const next = await sql`
+        SELECT COALESCE(MAX(SUBSTRING(warehouse_id FROM 3)::integer), 0) + 1 AS number
+        FROM warehouses
+        WHERE warehouse_id ~ '^WH[0-9]+$'
+      `;
+      warehouseId = `WH${String(next[0].number).padStart(3, '0')}`;
+    }
+
+    const result = await sql`
+      INSERT INTO warehouses (warehouse_id, warehouse_name, location, capacity, capacity_policy)
+      VALUES (
+        ${warehouseId}, ${warehouse_name}, ${location || null},
+        ${capacity === '' ? null : capacity ?? null}, ${capacity_policy || 'warn'}
+      )
+      ON CONFLICT (warehouse_id) DO NOTHING
+      RETURNING warehouse_id
+    `;
+    if (result.length === 0) {
+      throw createInventoryError(`Warehouse ${warehouseId} already exists`, 409);
+    }
+    return await getWarehouseById(warehouseId);
+  } catch (err) {
+    console.error('Error creating warehouse:', err);
+    throw err;
+  }
+};
+
+// Update a warehouse's name, location, capacity, capacity policy or active flag
+const updateWarehouse = async (warehouseId, warehouseData) => {
+  try {
+    const sql = await database.sql();
+    validateWarehouseData(warehouseData);
+    const { warehouse_name, location, capacity, capacity_policy, is_active } = warehouseData;
+
+    if (is_active === false) {
+      await assertWarehouseEmpty(sql, warehouseId);
+    }
+
+    const result = await sql`
+      UPDATE warehouses SET
+        warehouse_name = ${warehouse_name},
+        location = ${location || null},
+        capacity = ${capacity === '' ? null : capacity ?? null},
+        capacity_policy = ${capacity_policy || 'warn'},
+        is_active = COALESCE(${typeof is_active === 'boolean' ? is_active : null}::boolean, is_active),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE warehouse_id = ${warehouseId}
+      RETURNING warehouse_id
+    `;
+    if (result.length === 0) {
+      return null;
+    }
+    return await getWarehouseById(warehouseId);
+  } catch (err) {
+    console.error('Error updating warehouse:', err);
+    throw err;
+  }
+};
+
+// Refuse to deactivate a warehouse that still holds stock
+const assertWarehouseEmpty = async (sql, warehouseId) => {
+  const stock = await sql`
+    SELECT COALESCE(SUM(s.quantity), 0) AS quantity
+    FROM stock_levels s
+    JOIN inventory_items i ON s.item_id = i.id AND i.deleted_at IS NULL
+    WHERE s.warehouse_id = ${warehouseId}
+  `;
+  const quantity = parseInt(stock[0].quantity);
+  if (quantity > 0) {
+    throw createInventoryError(`Warehouse ${warehouseId} still holds ${quantity} unit(s) of stock, move it out before deactivating`, 409);
+  }
+};
+
+// Deactivate a warehouse so it no longer accepts receipts or transfers
+const deactivateWarehouse = async (warehouseId) => {
+  try {
+    const sql = await database.sql();
+    await assertWarehouseEmpty(sql, warehouseId);
+
+    const result = await sql`
+      UPDATE warehouses SET is_active = false, updated_at = CURRENT_TIMESTAMP
+      WHERE warehouse_id = ${warehouseId}
+      RETURNING warehouse_id
+    `;
+    if (result.length === 0) {
+      return null;
+    }
+    return await getWarehouseById(warehouseId);
+  } catch (err) {
+    console.error('Error deactivating warehouse:', err);
+    throw err;
+  }
+};
+
+// Check that stock can be booked into warehouses, given as { warehouse_id: quantity }.
+// Inactive warehouses and warehouses that block at capacity are refused; for
+// warehouses that only warn, the returned messages describe the overrun.
+const checkWarehouseCapacity = async (sql, additions) => {
+  const warehouseIds = Object.keys(additions);
+  const warehouses = await sql`
+    SELECT
+      w.warehouse_id, w.warehouse_name, w.capacity, w.capacity_policy, w.is_active,
+      COALESCE((
+        SELECT SUM(s.quantity) FROM stock_levels s
+        JOIN inventory_items i ON s.item_id = i.id AND i.deleted_at IS NULL
+        WHERE s.warehouse_id = w.warehouse_id
+      ), 0) AS used_quantity
+    FROM warehouses w
+    WHERE w.warehouse_id = ANY(${warehouseIds})
+  `;
+
+  const warnings = [];
+  for (const warehouseId of warehouseIds) {
+    const warehouse = warehouses.find(row => row.warehouse_id === warehouseId);
+    if (!warehouse) {
+      throw createInventoryError(`Unknown warehouse "${warehouseId}"`);
+    }
+    if (!warehouse.is_active) {
+      throw createInventoryError(`Warehouse ${warehouseId} is inactive`, 409);
+    }
+    if (warehouse.capacity === null) {
+      continue;
+    }
+
+    const after = parseInt(warehouse.used_quantity) + additions[warehouseId];
+    if (after > warehouse.capacity) {
+      const message = `${warehouse.warehouse_name} (${warehouseId}) would hold ${after} of ${warehouse.capacity} unit(s) capacity`;
+      if (warehouse.capacity_policy === 'block') {
+        throw createInventoryError(`Capacity exceeded: ${message}`, 409);
+      }
+      warnings.push(message);
+    }
+  }
+  return warnings;
+};
+
+// Raise a notification for each capacity overrun that was let through
+const notifyCapacityWarnings = async (warnings) => {
+  for (const message of warnings) {
+    await database.createNotification('Warehouse Over Capacity', message, 'warning');
+  }
+};
+
+// Get the unit-of-measure catalog
+const getUnits = async () => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      SELECT * FROM units_of_measure
+      ORDER BY unit_code
+    `;
+    return result;
+  } catch (err) {
+    console.error('Error fetching units:', err);
+    throw err;
+  }
+};
+
+// Add a unit to the catalog
+const createUnit = async (unitData) => {
+  try {
+    const sql = await database.sql();
+    const unitCode = (unitData.unit_code || '').trim();
+    if (!unitCode || unitCode.length > 10) {
+      throw createInventoryError('unit_code is required and must be at most 10 characters');
+    }
+
+    const result = await sql`
+      INSERT INTO units_of_measure (unit_code, unit_name)
+      VALUES (${unitCode}, ${unitData.unit_name || unitCode})
+      ON CONFLICT (unit_code) DO NOTHING
+      RETURNING *
+    `;
+    if (result.length === 0) {
+      throw createInventoryError(`Unit ${unitCode} already exists`, 409);
+    }
+    return result[0];
+  } catch (err) {
+    console.error('Error creating unit:', err);
+    throw err;
+  }
+};
+
+// Reject units that are not in the catalog
+const assertKnownUnit = async (sql, unitCode) => {
+  const result = await sql`SELECT unit_code FROM units_of_measure WHERE unit_code = ${unitCode}`;
+  if (result.length === 0) {
+    throw createInventoryError(`Unknown unit "${unitCode}"`);
+  }
+};
+
+// Get the units an item can be entered in, with how many base units each holds
+const getItemUnitConversions = async (itemId) => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      SELECT c.*, u.unit_name, i.unit_of_measure AS base_unit
+      FROM item_unit_conversions c
+      JOIN units_of_measure u ON c.unit_code = u.unit_code
+      JOIN inventory_items i ON c.item_id = i.id
+      WHERE c.item_id = ${itemId}
+      ORDER BY c.factor
+    `;
+    return result;
+  } catch (err) {
+    console.error('Error fetching item unit conversions:', err);
+    throw err;
+  }
+};
+
+// Set how many base units one unit holds for an item, e.g. 1 case = 24 pcs
+const setItemUnitConversion = async (itemId, unitCode, factor) => {
+  try {
+    const sql = await database.sql();
+    const item = await getInventoryItemById(itemId);
+    if (!item) {
+      return null;
+    }
+
+    const value = Number(factor);
+    if (!(value > 0)) {
+      throw createInventoryError('factor must be a positive number');
+    }
+    if (unitCode === item.unit_of_measure) {
+      throw createInventoryError(`${unitCode} is the base unit of ${item.item_code}`);
+    }
+    await assertKnownUnit(sql, unitCode);
+
+    const result = await sql`
+      INSERT INTO item_unit_conversions (item_id, unit_code, factor)
+      VALUES (${item.id}, ${unitCode}, ${value})
+      ON CONFLICT (item_id, unit_code) DO UPDATE SET
+        factor = EXCLUDED.factor,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+    return result[0];
+  } catch (err) {
+    console.error('Error setting item unit conversion:', err);
+    throw err;
+  }
+};
+
+// Remove a unit conversion from an item
+const deleteItemUnitConversion = async (itemId, unitCode) => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      DELETE FROM item_unit_conversions
+      WHERE item_id = ${itemId} AND unit_code = ${unitCode}
+      RETURNING *
+    `;
+    return result[0];
+  } catch (err) {
+    console.error('Error deleting item unit conversion:', err);
+    throw err;
+  }
+};
+
+// Convert a quantity entered in any allowed unit of an item to its base unit.
+// Stock is kept in whole base units, so fractional results are refused.
+const convertToBaseUnit = async (sql, item, quantity, unitCode) => {
+  if (!unitCode || unitCode === item.unit_of_measure) {
+    return Number(quantity);
+  }
+
+  await assertKnownUnit(sql, unitCode);
+  const conversions = await sql`
+    SELECT factor FROM item_unit_conversions
+    WHERE item_id = ${item.id} AND unit_code = ${unitCode}
+  `;
+  if (conversions.length === 0) {
+    throw createInventoryError(`No conversion from ${unitCode} to ${item.unit_of_measure} for ${item.item_code}`);
+  }
+
+  const baseQuantity = Math.round(Number(quantity) * parseFloat(conversions[0].factor) * 1e6) / 1e6;
+  if (!Number.isInteger(baseQuantity)) {
+    throw createInventoryError(`${quantity} ${unitCode} is not a whole number of ${item.unit_of_measure} for ${item.item_code}`);
+  }
+  return baseQuantity;
+};
+
+// Base-unit quantity of a shipment or order line for the item with the given code,
+// or null when no such item exists yet
+const resolveBaseQuantity = async (sql, itemCode, quantity, unitCode) => {
+  if (unitCode) {
+    await assertKnownUnit(sql, unitCode);
+  }
+  if (!itemCode || quantity === undefined || quantity === null) {
+    return null;
+  }
+
+  const items = await sql`SELECT * FROM inventory_items WHERE item_code = ${itemCode}`;
+  if (items.length === 0) {
+    return null;
+  }
+  return convertToBaseUnit(sql, items[0], quantity, unitCode);
+};
+
+// Get inventory statistics
+const getInventoryStats = async () => {
+  try {
+    const sql = await database.sql();
+    const totalItems = await sql`SELECT COUNT(*) as count FROM inventory_items WHERE deleted_at IS NULL`;
+    const activeItems = await sql`SELECT COUNT(*) as count FROM inventory_items WHERE status = 'active' AND deleted_at IS NULL`;
+    const lowStockItems = await sql`SELECT COUNT(*) as count FROM inventory_items WHERE reorder_point IS NOT NULL AND total_quantity <= reorder_point AND deleted_at IS NULL`;
+    const totalValue = await sql`SELECT COALESCE(SUM(buy_price * total_quantity), 0) as total FROM inventory_items WHERE deleted_at IS NULL`;
+    
+    return {
+      totalItems: parseInt(totalItems[0].count),
+      activeItems: parseInt(activeItems[0].count),
+      lowStockItems: parseInt(lowStockItems[0].count),
+      totalValue: parseFloat(totalValue[0].total)
+    };
+  } catch (err) {
+    console.error('Error fetching inventory statistics:', err);
+    throw err;
+  }
+};
+
+// Get items at or below their reorder point, most urgent first. With a
+// warehouse filter, items stocked there are judged on that warehouse's quantity.
+const getLowStockItems = async (filters = {}) => {
+  try {
+    const sql = await database.sql();
+    const conditions = ['i.deleted_at IS NULL', 'i.reorder_point IS NOT NULL', 'q.stock_quantity <= i.reorder_point'];
+    const params = [];
+    let stockQuantity = 'i.total_quantity';
+    let warehouseColumn = 'i.warehouse_id';
+
+    if (filters.category) {
+      params.push(filters.category);
+      conditions.push(`i.category_id = $${params.length}`);
+    }
+
+    if (filters.warehouse) {
+      params.push(filters.warehouse);
+      warehouseColumn = `$${params.length}`;
+      conditions.push(`EXISTS (SELECT 1 FROM stock_levels s WHERE s.item_id = i.id AND s.warehouse_id = ${warehouseColumn})`);
+      stockQuantity = `(SELECT COALESCE(SUM(s.quantity), 0)::integer FROM stock_levels s WHERE s.item_id = i.id AND s.warehouse_id = ${warehouseColumn})`;
+    }
+
+    const result = await sql(`
+      SELECT 
+        i.*,
+        c.category_name,
+        w.warehouse_name,
+        q.stock_quantity,
+        i.reorder_point - q.stock_quantity AS shortfall,
+        q.stock_quantity < i.min_quantity AS below_minimum,
+        COALESCE(
+          i.reorder_quantity,
+          GREATEST(COALESCE(i.max_quantity, i.reorder_point) - q.stock_quantity, 0)
+        ) AS suggested_order_quantity
+      FROM inventory_items i
+      CROSS JOIN LATERAL (SELECT ${stockQuantity} AS stock_quantity) q
+      LEFT JOIN categories c ON i.category_id = c.category_id
+      LEFT JOIN warehouses w ON w.warehouse_id = ${warehouseColumn}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY below_minimum DESC, (i.reorder_point - q.stock_quantity) DESC, i.item_code
+    `, params);
+
+    return result;
+  } catch (err) {
+    console.error('Error fetching low stock items:', err);
+    throw err;
+  }
+};
+
+// Build an error for a broken business rule, carrying the HTTP status to respond with
+const createInventoryError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+// Updates given the version the client last saw set the version column to NULL
+// when the record has moved on, which aborts the surrounding transaction
+const isVersionConflictError = (err) => {
+  return err && err.code === '23502' && err.column === 'version';
+};
+
+// 400 listing every invalid field of a request
+const createValidationError = (errors) => {
+  const err = createInventoryError(`Invalid fields: ${errors.join('; ')}`);
+  err.errors = errors;
+  return err;
+};
+
+// Check a full record against a resource schema
+const assertValidRecord = (schema, data) => {
+  const errors = validateFields(schema, data);
+  if (errors.length > 0) {
+    throw createValidationError(errors);
+  }
+};
+
+// 409 for a stale update, carrying the current record so the client can merge
+const createVersionConflictError = (label, current) => {
+  const err = createInventoryError(`${label} was changed by someone else, reload and try again`, 409);
+  err.current = current;
+  return err;
+};
+
+// SQL expressions for the quantity delta of each operation ($2 is the quantity).
+// 'set' targets the given stock level, or the item total when no level is given.
+const STOCK_OPERATIONS = {
+  add: '$2::integer',
+  subtract: '-$2::integer',
+  set: '$2::integer - CASE WHEN explicit_level THEN level_quantity ELSE total_quantity END'
+};
+
+// Whether a database error came from a stock level being driven below zero
+const isInsufficientStockError = (err) => {
+  return err && err.code === '23514' && err.constraint === 'stock_levels_quantity_check';
+};
+
+// Reason codes accepted for manual stock adjustments
+const ADJUSTMENT_REASONS = ['damage', 'shrinkage', 'found', 'cycle_count', 'correction'];
+
+// Build a single statement that changes one stock level of an item, keeps the
+// item's total_quantity in step and appends the movement to the ledger, so all
+// three succeed or fail together. The level is movement.warehouse_id and
+// movement.location, defaulting to the item's own warehouse and location.
+// Changes that would take the level below zero update nothing, unless
+// options.strict is set, in which case they fail on the stock level check
+// constraint and abort the surrounding transaction.
+// Returns an unexecuted query usable on its own or inside sql.transaction().
+const buildStockChangeQuery = (sql, id, quantity, operation = 'set', movement = {}, options = {}) => {
+  const delta = STOCK_OPERATIONS[operation];
+  if (!delta) {
+    throw createInventoryError(`Invalid stock operation: ${operation}`);
+  }
+  if (!Number.isInteger(Number(quantity)) || Number(quantity) < 0) {
+    throw createInventoryError('Quantity must be a non-negative whole number');
+  }
+
+  return sql(`
+    WITH target AS (
+      SELECT
+        i.id,
+        i.total_quantity,
+        COALESCE($8::varchar, i.warehouse_id) AS warehouse_id,
+        COALESCE($9::varchar, i.location, '') AS location,
+        ($8::varchar IS NOT NULL OR $9::varchar IS NOT NULL) AS explicit_level
+      FROM inventory_items i
+      WHERE i.id = $1
+      FOR UPDATE
+    ),
+    current_level AS (
+      SELECT t.*, COALESCE(s.quantity, 0) AS level_quantity, s.id AS level_id
+      FROM target t
+      LEFT JOIN stock_levels s
+        ON s.item_id = t.id AND s.warehouse_id = t.warehouse_id AND s.location = t.location
+      WHERE t.warehouse_id IS NOT NULL
+    ),
+    change AS (
+      SELECT *, (${delta}) AS delta
+      FROM current_level
+      ${options.strict ? '' : `WHERE level_quantity + (${delta}) >= 0`}
+    ),
+    level_updated AS (
+      UPDATE stock_levels s
+      SET quantity = s.quantity + c.delta, updated_at = CURRENT_TIMESTAMP
+      FROM change c
+      WHERE s.id = c.level_id
+      RETURNING s.item_id, s.quantity
+    ),
+    level_inserted AS (
+      INSERT INTO stock_levels (item_id, warehouse_id, location, quantity)
+      SELECT id, warehouse_id, location, delta FROM change
+      WHERE level_id IS NULL
+      RETURNING item_id, quantity
+    ),
+    updated AS (
+      UPDATE inventory_items i
+      SET total_quantity = i.total_quantity + c.delta, version = i.version + 1, updated_at = CURRENT_TIMESTAMP
+      FROM change c
+      WHERE i.id = c.id
+      RETURNING
+        i.*,
+        c.total_quantity AS previous_quantity,
+        c.warehouse_id AS level_warehouse_id,
+        c.location AS level_location,
+        c.delta AS quantity_change
+    ),
+    movement AS (
+      INSERT INTO stock_movements (
+        item_id, item_code, warehouse_id, location, quantity_change, balance_after,
+        reason, reference_type, reference_id, notes, created_by
+      )
+      SELECT
+        id, item_code, level_warehouse_id, level_location, quantity_change, total_quantity,
+        $3, $4, $5, $6, $7
+      FROM updated
+      WHERE quantity_change <> 0
+    )
+    SELECT u.*, COALESCE(lu.quantity, li.quantity) AS level_quantity
+    FROM updated u
+    LEFT JOIN level_updated lu ON lu.item_id = u.id
+    LEFT JOIN level_inserted li ON li.item_id = u.id
+  `, [
+    id,
+    quantity,
+    movement.reason || 'manual_update',
+    movement.reference_type || null,
+    movement.reference_id || null,
+    movement.notes || null,
+    movement.user || null,
+    movement.warehouse_id || null,
+    movement.location || null
+  ]);
+};
+
+// Update item quantity; lots at the level are trimmed to what is left on hand
+const updateItemQuantity = async (id, newQuantity, operation = 'set', movement = {}) => {
+  try {
+    const sql = await database.sql();
+    const item = await getInventoryItemById(id);
+    if (!item) {
+      return null;
+    }
+    const warehouseId = movement.warehouse_id || item.warehouse_id;
+    const location = movement.location || item.location || '';
+    const queries = [buildStockChangeQuery(sql, id, newQuantity, operation, movement)];
+    if (warehouseId) {
+      queries.push(buildLotDebitQuery(sql, id, { warehouse_id: warehouseId, location }));
+    }
+    const [result] = await sql.transaction(queries);
+
+    if (result.length === 0) {
+
+      if (!warehouseId) {
+        throw createInventoryError(`No warehouse given for ${item.item_code} and it has no default warehouse`);
+      }
+
+      throw createInventoryError(
+        `Insufficient stock for ${item.item_code} at ${warehouseId}${location ? ` / ${location}` : ''}, cannot ${operation} ${newQuantity}`,
+        409
+      );
+    }
+
+    await checkReorderPoint(result[0]);
+    return result[0];
+  } catch (err) {
+    console.error('Error updating item quantity:', err);
+    throw err;
+  }
+};
+
+// Get the stock levels of an item by warehouse and location
+const getStockLevels = async (itemId) => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      SELECT s.*, w.warehouse_name
+      FROM stock_levels s
+      LEFT JOIN warehouses w ON s.warehouse_id = w.warehouse_id
+      WHERE s.item_id = ${itemId}
+      ORDER BY s.warehouse_id, s.location
+    `;
+    return result;
+  } catch (err) {
+    console.error('Error fetching stock levels:', err);
+    throw err;
+  }
+};
+
+// Apply a manual stock adjustment with a reason code and return the change and its value
+const createStockAdjustment = async (id, adjustment) => {
+  const { operation, quantity, unit, reason, notes, user, warehouse_id, location } = adjustment;
+
+  if (!ADJUSTMENT_REASONS.includes(reason)) {
+    throw createInventoryError(`Invalid reason code. Allowed: ${ADJUSTMENT_REASONS.join(', ')}`);
+  }
+
+  const current = await getInventoryItemById(id);
+  if (!current) {
+    return null;
+  }
+  const sql = await database.sql();
+  const baseQuantity = await convertToBaseUnit(sql, current, quantity, unit);
+
+  // Only stock going up counts against the warehouse capacity
+  const warehouseId = warehouse_id || current.warehouse_id;
+  let increase = 0;
+  if (warehouseId && operation === 'add') {
+    increase = baseQuantity;
+  } else if (warehouseId && operation === 'set') {
+    const levels = await sql`
+      SELECT quantity FROM stock_levels
+      WHERE item_id = ${current.id} AND warehouse_id = ${warehouseId} AND location = ${location || current.location || ''}
+    `;
+    increase = baseQuantity - (levels[0] ? levels[0].quantity : 0);
+  }
+  const warnings = increase > 0 ? await checkWarehouseCapacity(sql, { [warehouseId]: increase }) : [];
+
+  const item = await updateItemQuantity(id, baseQuantity, operation, {
+    reason,
+    reference_type: 'adjustment',
+    notes,
+    user,
+    warehouse_id,
+    location
+  });
+
+  if (!item) {
+    return null;
+  }
+  await notifyCapacityWarnings(warnings);
+
+  return {
+    item,
+    quantity_change: item.quantity_change,
+    value: Math.abs(item.quantity_change) * parseFloat(item.buy_price || 0),
+    warnings
+  };
+};
+
+// Get the stock movement history for an item, newest first
+const getStockMovements = async (itemId, options = {}) => {
+  try {
+    const sql = await database.sql();
+    const limit = options.limit || 100;
+    const offset = options.offset || 0;
+    const result = await sql`
+      SELECT * FROM stock_movements
+      WHERE item_id = ${itemId}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ${limit} OFFSET ${offset}
+    `;
+    return result;
+  } catch (err) {
+    console.error('Error fetching stock movements:', err);
+    throw err;
+  }
+};
+
+const CYCLE_COUNT_STATUSES = ['counting', 'posted', 'cancelled'];
+
+// Whether a transaction was aborted because the cycle count left 'counting'
+// while it ran (the status guard sets it to NULL)
+const isCycleCountStateError = (err) => {
+  return err && err.code === '23502' && err.table === 'cycle_counts' && err.column === 'status';
+};
+
+// Get cycle count sessions with optional status and warehouse filters
+const getAllCycleCounts = async (filters = {}) => {
+  try {
+    const sql = await database.sql();
+    const conditions = [];
+    const params = [];
+
+    if (filters.status) {
+      params.push(filters.status);
+      conditions.push(`c.status = $${params.length}`);
+    }
+
+    if (filters.warehouse) {
+      params.push(filters.warehouse);
+      conditions.push(`c.warehouse_id = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    const result = await sql(`
+      SELECT
+        c.*,
+        w.warehouse_name,
+        COUNT(cl.id)::integer AS line_count,
+        COUNT(cl.counted_quantity)::integer AS counted_count
+      FROM cycle_counts c
+      LEFT JOIN warehouses w ON c.warehouse_id = w.warehouse_id
+      LEFT JOIN cycle_count_lines cl ON cl.cycle_count_id = c.id
+      ${whereClause}
+      GROUP BY c.id, w.warehouse_name
+      ORDER BY c.created_at DESC
+    `, params);
+
+    return result;
+  } catch (err) {
+    console.error('Error fetching cycle counts:', err);
+    throw err;
+  }
+};
+
+// Get a cycle count (by id or count_id) with its lines, their variances in units and value, and totals.
+// A counted line needs approval when its variance value exceeds the session threshold.
+const getCycleCountById = async (id) => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      SELECT c.*, w.warehouse_name
+      FROM cycle_counts c
+      LEFT JOIN warehouses w ON c.warehouse_id = w.warehouse_id
+      WHERE c.count_id = ${String(id)} OR c.id = ${/^\d{1,9}$/.test(String(id)) ? Number(id) : null}
+    `;
+
+    if (!result[0]) {
+      return null;
+    }
+
+    const lines = await sql`
+      SELECT
+        cl.*,
+        i.item_code,
+        i.product_name,
+        i.unit_of_measure,
+        cl.counted_quantity - cl.expected_quantity AS variance_quantity,
+        ((cl.counted_quantity - cl.expected_quantity) * cl.unit_cost)::numeric(12,2) AS variance_value,
+        COALESCE(ABS((cl.counted_quantity - cl.expected_quantity) * cl.unit_cost) > ${result[0].variance_threshold}::numeric, false) AS requires_approval
+      FROM cycle_count_lines cl
+      LEFT JOIN inventory_items i ON cl.item_id = i.id
+      WHERE cl.cycle_count_id = ${result[0].id}
+      ORDER BY cl.location, i.item_code
+    `;
+
+    const counted = lines.filter(line => line.counted_quantity !== null);
+    const summary = {
+      line_count: lines.length,
+      counted_count: counted.length,
+      variance_count: counted.filter(line => line.variance_quantity !== 0).length,
+      variance_quantity: counted.reduce((sum, line) => sum + line.variance_quantity, 0),
+      variance_value: counted.reduce((sum, line) => sum + parseFloat(line.variance_value), 0),
+      pending_approval: counted.filter(line => line.requires_approval && !line.approved_by).length
+    };
+
+    return { ...result[0], lines, summary };
+  } catch (err) {
+    console.error('Error fetching cycle count:', err);
+    throw err;
+  }
+};
+
+// Open a cycle count session, snapshotting the expected quantity of every stock
+// level in the warehouse, optionally narrowed to a zone (location prefix) and to
+// a category with its subcategories
+const createCycleCount = async (countData) => {
+  try {
+    const sql = await database.sql();
+    const { warehouse_id, zone, category_id, notes, variance_threshold, created_by } = countData;
+
+    if (!warehouse_id) {
+      throw createInventoryError('warehouse_id is required');
+    }
+    const warehouse = await sql`SELECT warehouse_id FROM warehouses WHERE warehouse_id = ${warehouse_id}`;
+    if (warehouse.length === 0) {
+      throw createInventoryError(`Unknown warehouse "${warehouse_id}"`);
+    }
+    if (category_id) {
+      const category = await sql`SELECT category_id FROM categories WHERE category_id = ${category_id}`;
+      if (category.length === 0) {
+        throw createInventoryError(`Unknown category "${category_id}"`);
+      }
+    }
+
+    const countId = countData.count_id || `CC-${Date.now()}`;
+    const result = await sql`
+      WITH RECURSIVE subtree AS (
+        SELECT category_id FROM categories WHERE category_id = ${category_id || null}
+        UNION ALL
+        SELECT c.category_id FROM categories c
+        JOIN subtree s ON c.parent_category_id = s.category_id
+      ),
+      header AS (
+        INSERT INTO cycle_counts (
+          count_id, warehouse_id, zone, category_id, variance_threshold, notes, created_by
+        ) VALUES (
+          ${countId}, ${warehouse_id}, ${zone || null}, ${category_id || null},
+          ${variance_threshold || 0}, ${notes || null}, ${created_by || null}
+        )
+        RETURNING id
+      ),
+      inserted_lines AS (
+        INSERT INTO cycle_count_lines (cycle_count_id, item_id, location, expected_quantity, unit_cost)
+        SELECT header.id, s.item_id, s.location, s.quantity, COALESCE(i.buy_price, 0)
+        FROM header, stock_levels s
+        JOIN inventory_items i ON s.item_id = i.id
+        WHERE s.warehouse_id = ${warehouse_id}
+          AND i.deleted_at IS NULL
+          AND (${zone || null}::varchar IS NULL OR s.location LIKE ${zone || null} || '%')
+          AND (${category_id || null}::varchar IS NULL OR i.category_id IN (SELECT category_id FROM subtree))
+      )
+      SELECT id FROM header
+    `;
+
+    return await getCycleCountById(result[0].id);
+  } catch (err) {
+    console.error('Error creating cycle count:', err);
+    throw err;
+  }
+};
+
+// Load a cycle count that must still be open for counting
+const getOpenCycleCount = async (id) => {
+  const count = await getCycleCountById(id);
+  if (count && count.status !== 'counting') {
+    throw createInventoryError(`Cycle count ${count.count_id} is ${count.status}`, 409);
+  }
+  return count;
+};
+
+// Record counted quantities, typed or scanned. Each entry names an item by
+// item_id or by a scanned code, with a quantity in base units (or in unit),
+// and either sets the count ('set') or adds to it ('add', one scan at a time).
+// Items missing from the snapshot get a line expecting their current stock.
+// Recounting a line clears its approval.
+const recordCycleCounts = async (id, entries, user = null) => {
+  try {
+    const sql = await database.sql();
+    const count = await getOpenCycleCount(id);
+    if (!count) {
+      return null;
+    }
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw createInventoryError('At least one count is required');
+    }
+
+    const queries = [];
+    for (const [index, entry] of entries.entries()) {
+      const item = entry.item_id
+        ? await getInventoryItemById(entry.item_id)
+        : entry.code ? await findInventoryItemByCode(entry.code) : null;
+      if (!item) {
+        throw createInventoryError(`Count ${index + 1}: item ${entry.item_id || entry.code || ''} not found`, 404);
+      }
+
+      const mode = entry.mode || 'set';
+      if (!['set', 'add'].includes(mode)) {
+        throw createInventoryError(`Count ${index + 1}: mode must be set or add`);
+      }
+      const quantity = await convertToBaseUnit(sql, item, entry.quantity, entry.unit);
+      if (!Number.isInteger(quantity) || quantity < 0) {
+        throw createInventoryError(`Count ${index + 1}: quantity must be a non-negative whole number`);
+      }
+
+      // Default to the item's only line in this session, then to its own location.
+      // An item counted at several locations needs one, or the scan would open a new line.
+      const itemLines = count.lines.filter(line => line.item_id === item.id);
+      if (entry.location == null && itemLines.length > 1) {
+        throw createInventoryError(
+          `Count ${index + 1}: ${item.item_code} has ${itemLines.length} lines in ${count.count_id} (${itemLines.map(line => line.location || '-').join(', ')}), give a location`
+        );
+      }
+      const location = entry.location ?? (itemLines.length === 1 ? itemLines[0].location : item.location || '');
+
+      queries.push(sql`
+        INSERT INTO cycle_count_lines (
+          cycle_count_id, item_id, location, expected_quantity, counted_quantity, unit_cost, counted_by, counted_at
+        ) VALUES (
+          ${count.id}, ${item.id}, ${location},
+          COALESCE((
+            SELECT quantity FROM stock_levels
+            WHERE item_id = ${item.id} AND warehouse_id = ${count.warehouse_id} AND location = ${location}
+          ), 0),
+          ${quantity}, ${item.buy_price || 0}, ${user}, CURRENT_TIMESTAMP
+        )
+        ON CONFLICT (cycle_count_id, item_id, location) DO UPDATE SET
+          counted_quantity = CASE WHEN ${mode} = 'add'
+            THEN COALESCE(cycle_count_lines.counted_quantity, 0) + EXCLUDED.counted_quantity
+            ELSE EXCLUDED.counted_quantity END,
+          counted_by = EXCLUDED.counted_by,
+          counted_at = EXCLUDED.counted_at,
+          approved_by = NULL,
+          approved_at = NULL
+      `);
+    }
+    queries.push(sql`UPDATE cycle_counts SET updated_at = CURRENT_TIMESTAMP WHERE id = ${count.id}`);
+
+    await sql.transaction(queries);
+    return await getCycleCountById(count.id);
+  } catch (err) {
+    console.error('Error recording cycle counts:', err);
+    throw err;
+  }
+};
+
+// Approve counted lines of a session (all of them unless line ids are given)
+const approveCycleCountLines = async (id, lineIds = null, user = null) => {
+  try {
+    const sql = await database.sql();
+    const count = await getOpenCycleCount(id);
+    if (!count) {
+      return null;
+    }
+
+    await sql`
+      UPDATE cycle_count_lines SET
+        approved_by = ${user},
+        approved_at = CURRENT_TIMESTAMP
+      WHERE cycle_count_id = ${count.id}
+        AND counted_quantity IS NOT NULL
+        AND approved_by IS NULL
+        AND (${lineIds === null} OR id = ANY(${lineIds || []}::integer[]))
+    `;
+    return await getCycleCountById(count.id);
+  } catch (err) {
+    console.error('Error approving cycle count lines:', err);
+    throw err;
+  }
+};
+
+// Post the variances of counted lines as cycle_count stock adjustments and close
+// the session, all in one transaction. Lines over the threshold must be approved
+// first; uncounted lines are left alone.
+const postCycleCount = async (id, user = null) => {
+  try {
+    const sql = await database.sql();
+    const count = await getOpenCycleCount(id);
+    if (!count) {
+      return null;
+    }
+
+    const pending = count.lines.filter(line => line.requires_approval && !line.approved_by);
+    if (pending.length > 0) {
+      throw createInventoryError(
+        `Variances need admin approval before posting: ${pending.map(line => line.item_code).join(', ')}`,
+        409
+      );
+    }
+
+    const variances = count.lines.filter(line => line.counted_quantity !== null && line.variance_quantity !== 0);
+    const queries = [
+      sql`
+        UPDATE cycle_counts SET
+          status = CASE WHEN status = 'counting' THEN 'posted' END,
+          posted_by = ${user},
+          posted_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${count.id}
+      `
+    ];
+    for (const line of variances) {
+      queries.push(buildStockChangeQuery(
+        sql,
+        line.item_id,
+        Math.abs(line.variance_quantity),
+        line.variance_quantity > 0 ? 'add' : 'subtract',
+        {
+          reason: 'cycle_count',
+          reference_type: 'cycle_count',
+          reference_id: count.count_id,
+          user,
+          warehouse_id: count.warehouse_id,
+          location: line.location
+        },
+        { strict: true }
+      ));
+    }
+    // Shortages come out of the lots too, once all levels are posted
+    for (const line of variances.filter(line => line.variance_quantity < 0)) {
+      queries.push(buildLotDebitQuery(sql, line.item_id, { warehouse_id: count.warehouse_id, location: line.location }));
+    }
+
+    let results;
+    try {
+      results = await sql.transaction(queries);
+    } catch (err) {
+      if (isCycleCountStateError(err)) {
+        throw createInventoryError(`Cycle count ${count.count_id} was changed by someone else, reload and try again`, 409);
+      }
+      if (isInsufficientStockError(err)) {
+        throw createInventoryError(`Stock in ${count.warehouse_id} moved since counting, a shortage can no longer be posted; recount the affected items`, 409);
+      }
+      throw err;
+    }
+
+    for (const rows of results.slice(1, variances.length + 1)) {
+      await checkReorderPoint(rows[0]);
+    }
+    return { ...(await getCycleCountById(count.id)), adjustments: variances.length };
+  } catch (err) {
+    console.error('Error posting cycle count:', err);
+    throw err;
+  }
+};
+
+// Cancel an open cycle count without touching stock
+const cancelCycleCount = async (id) => {
+  try {
+    const sql = await database.sql();
+    const count = await getOpenCycleCount(id);
+    if (!count) {
+      return null;
+    }
+
+    await sql`
+      UPDATE cycle_counts SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${count.id} AND status = 'counting'
+    `;
+    return await getCycleCountById(count.id);
+  } catch (err) {
+    console.error('Error cancelling cycle count:', err);
+    throw err;
+  }
+};
+
+// Allowed transfer order status changes
+const TRANSFER_TRANSITIONS = {
+  draft: ['picked', 'cancelled'],
+  picked: ['in_transit', 'draft', 'cancelled'],
+  in_transit: ['received'],
+  received: [],
+  cancelled: []
+};
+
+// Whether a transaction was aborted because the transfer changed status while
+// it ran (the status guard sets it to NULL)
+const isTransferStateError = (err) => {
+  return err && err.code === '23502' && err.table === 'transfer_orders' && err.column === 'status';
+};
+
+// Get transfer orders with optional status and warehouse filters
+const getAllTransferOrders = async (filters = {}) => {
+  try {
+    const sql = await database.sql();
+    const conditions = [];
+    const params = [];
+
+    if (filters.status) {
+      params.push(filters.status);
+      conditions.push(`t.status = $${params.length}`);
+    }
+
+    if (filters.warehouse) {
+      params.push(filters.warehouse);
+      conditions.push(`(t.source_warehouse_id = $${params.length} OR t.destination_warehouse_id = $${params.length})`);
+    }
+
+    const whereClause = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    const result = await sql(`
+      SELECT 
+        t.*,
+        sw.warehouse_name AS source_warehouse_name,
+        dw.warehouse_name AS destination_warehouse_name,
+        COUNT(tl.id)::integer AS line_count,
+        COALESCE(SUM(tl.quantity), 0)::integer AS total_quantity
+      FROM transfer_orders t
+      LEFT JOIN warehouses sw ON t.source_warehouse_id = sw.warehouse_id
+      LEFT JOIN warehouses dw ON t.destination_warehouse_id = dw.warehouse_id
+      LEFT JOIN transfer_order_lines tl ON tl.transfer_order_id = t.id
+      ${whereClause}
+      GROUP BY t.id, sw.warehouse_name, dw.warehouse_name
+      ORDER BY t.created_at DESC
+    `, params);
+
+    return result;
+  } catch (err) {
+    console.error('Error fetching transfer orders:', err);
+    throw err;
+  }
+};
+
+// Get a transfer order with its lines
+const getTransferOrderById = async (id) => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      SELECT 
+        t.*,
+        sw.warehouse_name AS source_warehouse_name,
+        dw.warehouse_name AS destination_warehouse_name
+      FROM transfer_orders t
+      LEFT JOIN warehouses sw ON t.source_warehouse_id = sw.warehouse_id
+      LEFT JOIN warehouses dw ON t.destination_warehouse_id = dw.warehouse_id
+      WHERE t.id = ${id}
+    `;
+
+    if (!result[0]) {
+      return null;
+    }
+
+    const lines = await sql`
+      SELECT tl.*, i.item_code, i.product_name, i.unit_of_measure
+      FROM transfer_order_lines tl
+      LEFT JOIN inventory_items i ON tl.item_id = i.id
+      WHERE tl.transfer_order_id = ${id}
+      ORDER BY tl.id
+    `;
+
+    return { ...result[0], lines };
+  } catch (err) {
+    console.error('Error fetching transfer order:', err);
+    throw err;
+  }
+};
+
+// Check every line of a transfer against the stock held at its source location
+const assertTransferStockAvailable = async (sql, transfer) => {
+  for (const line of transfer.lines) {
+    const level = await sql`
+      SELECT quantity FROM stock_levels
+      WHERE item_id = ${line.item_id}
+        AND warehouse_id = ${transfer.source_warehouse_id}
+        AND location = ${line.source_location}
+    `;
+    const available = level[0] ? level[0].quantity : 0;
+    if (available < line.quantity) {
+      throw createInventoryError(
+        `Insufficient stock for ${line.item_code} at ${transfer.source_warehouse_id}${line.source_location ? ` / ${line.source_location}` : ''}: ${available} available, ${line.quantity} requested`,
+        409
+      );
+    }
+  }
+};
+
+// Create a draft transfer order between two warehouses
+const createTransferOrder = async (transferData) => {
+  try {
+    const sql = await database.sql();
+    const { source_warehouse_id, destination_warehouse_id, lines, notes, created_by } = transferData;
+
+    if (!source_warehouse_id || !destination_warehouse_id) {
+      throw createInventoryError('Source and destination warehouses are required');
+    }
+    if (source_warehouse_id === destination_warehouse_id) {
+      throw createInventoryError('Source and destination warehouses must be different');
+    }
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw createInventoryError('At least one transfer line is required');
+    }
+
+    const warehouses = await sql`
+      SELECT warehouse_id, is_active FROM warehouses
+      WHERE warehouse_id IN (${source_warehouse_id}, ${destination_warehouse_id})
+    `;
+    if (warehouses.length !== 2) {
+      throw createInventoryError('Unknown source or destination warehouse');
+    }
+    if (!warehouses.find(row => row.warehouse_id === destination_warehouse_id).is_active) {
+      throw createInventoryError(`Warehouse ${destination_warehouse_id} is inactive`, 409);
+    }
+
+    const preparedLines = [];
+    for (const [index, line] of lines.entries()) {
+      const item = await getInventoryItemById(line.item_id);
+      if (!item) {
+        throw createInventoryError(`Line ${index + 1}: item ${line.item_id} not found`, 404);
+      }
+
+      const quantity = Number(line.quantity) > 0
+        ? await convertToBaseUnit(sql, item, line.quantity, line.unit)
+        : Number(line.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw createInventoryError(`Line ${index + 1}: quantity must be a positive whole number`);
+      }
+
+      preparedLines.push({
+        item_id: item.id,
+        quantity,
+        source_location: line.source_location || item.location || '',
+        destination_location: line.destination_location || item.location || ''
+      });
+    }
+
+    const transferId = transferData.transfer_id || `TRF-${Date.now()}`;
+    const result = await sql`
+      WITH header AS (
+        INSERT INTO transfer_orders (
+          transfer_id, source_warehouse_id, destination_warehouse_id, status, notes, created_by
+        ) VALUES (
+          ${transferId}, ${source_warehouse_id}, ${destination_warehouse_id}, 'draft', ${notes || null}, ${created_by || null}
+        )
+        RETURNING id
+      ),
+      inserted_lines AS (
+        INSERT INTO transfer_order_lines (
+          transfer_order_id, item_id, quantity, source_location, destination_location
+        )
+        SELECT header.id, l.item_id, l.quantity, l.source_location, l.destination_location
+        FROM header, json_to_recordset(${JSON.stringify(preparedLines)}::json)
+          AS l(item_id INTEGER, quantity INTEGER, source_location VARCHAR, destination_location VARCHAR)
+      )
+      SELECT id FROM header
+    `;
+
+    return await getTransferOrderById(result[0].id);
+  } catch (err) {
+    console.error('Error creating transfer order:', err);
+    throw err;
+  }
+};
+
+// Move a transfer order to its next status. Going in transit debits the source
+// and receiving credits the destination, lots included, each in the same transaction as the
+// status change, so the stock is never on hand at the source while it travels.
+const updateTransferOrderStatus = async (id, status, user = null) => {
+  try {
+    const sql = await database.sql();
+    const transfer = await getTransferOrderById(id);
+    if (!transfer) {
+      return null;
+    }
+
+    const allowed = TRANSFER_TRANSITIONS[transfer.status] || [];
+    if (!allowed.includes(status)) {
+      throw createInventoryError(`Cannot move transfer ${transfer.transfer_id} from ${transfer.status} to ${status}`, 409);
+    }
+
+    if (status === 'picked' || status === 'in_transit') {
+      await assertTransferStockAvailable(sql, transfer);
+    }
+
+    const warnings = status === 'received'
+      ? await checkWarehouseCapacity(sql, {
+        [transfer.destination_warehouse_id]: transfer.lines.reduce((sum, line) => sum + line.quantity, 0)
+      })
+      : [];
+
+    // The guard comes first, so a concurrent move of the same transfer waits on
+    // the row and then aborts instead of posting the stock a second time
+    const queries = [sql`
+      UPDATE transfer_orders SET
+        status = CASE WHEN status = ${transfer.status} THEN ${status} END,
+        picked_at = CASE WHEN ${status} = 'picked' THEN CURRENT_TIMESTAMP ELSE picked_at END,
+        shipped_at = CASE WHEN ${status} = 'in_transit' THEN CURRENT_TIMESTAMP ELSE shipped_at END,
+        received_at = CASE WHEN ${status} = 'received' THEN CURRENT_TIMESTAMP ELSE received_at END,
+        received_by = CASE WHEN ${status} = 'received' THEN ${user}::varchar ELSE received_by END,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${id}
+    `];
+    for (const line of transfer.lines) {
+      const movement = {
+        reference_type: 'transfer',
+        reference_id: transfer.transfer_id,
+        user
+      };
+      if (status === 'in_transit') {
+        queries.push(buildStockChangeQuery(sql, line.item_id, line.quantity, 'subtract', {
+          ...movement,
+          reason: 'transfer_out',
+          warehouse_id: transfer.source_warehouse_id,
+          location: line.source_location
+        }, { strict: true }));
+        queries.push(buildLotDebitQuery(sql, line.item_id, {
+          warehouse_id: transfer.source_warehouse_id,
+          location: line.source_location
+        }, { quantity: line.quantity, transfer_line_id: line.id }));
+      }
+      if (status === 'received') {
+        queries.push(buildStockChangeQuery(sql, line.item_id, line.quantity, 'add', {
+          ...movement,
+          reason: 'transfer_in',
+          warehouse_id: transfer.destination_warehouse_id,
+          location: line.destination_location
+        }, { strict: true }));
+        queries.push(buildTransferLotReceiptQuery(sql, line.id, transfer.destination_warehouse_id));
+      }
+    }
+
+    try {
+      await sql.transaction(queries);
+    } catch (err) {
+      if (isTransferStateError(err)) {
+        throw createInventoryError(`Transfer ${transfer.transfer_id} was changed by someone else, reload and try again`, 409);
+      }
+      if (isInsufficientStockError(err)) {
+        throw createInventoryError(`Insufficient stock at ${transfer.source_warehouse_id} to dispatch transfer ${transfer.transfer_id}`, 409);
+      }
+      throw err;
+    }
+
+    if (status !== 'received') {
+      return await getTransferOrderById(id);
+    }
+    await notifyCapacityWarnings(warnings);
+    return { ...(await getTransferOrderById(id)), warnings };
+  } catch (err) {
+    console.error('Error updating transfer order status:', err);
+    throw err;
+  }
+};
+
+// Get the lots of an item, soonest expiry first
+const getItemLots = async (itemId, options = {}) => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      SELECT l.*, w.warehouse_name
+      FROM stock_lots l
+      LEFT JOIN warehouses w ON l.warehouse_id = w.warehouse_id
+      WHERE l.item_id = ${itemId}
+        AND (${options.includeEmpty === true} OR l.quantity > 0)
+      ORDER BY l.expiry_date ASC NULLS LAST, l.received_date ASC, l.id
+    `;
+    return result;
+  } catch (err) {
+    console.error('Error fetching item lots:', err);
+    throw err;
+  }
+};
+
+// Build the statement that books received quantity into a lot, creating the lot if needed
+const buildLotReceiptQuery = (sql, itemId, lot) => {
+  return sql`
+    INSERT INTO stock_lots (
+      item_id, lot_number, warehouse_id, location, quantity,
+      expiry_date, received_date, material_shipment_id
+    ) VALUES (
+      ${itemId}, ${lot.lot_number}, ${lot.warehouse_id}, ${lot.location || ''}, ${lot.quantity},
+      ${lot.expiry_date || null}, COALESCE(${lot.received_date || null}::date, CURRENT_DATE), ${lot.material_shipment_id || null}
+    )
+    ON CONFLICT (item_id, lot_number, warehouse_id, location) DO UPDATE SET
+      quantity = stock_lots.quantity + EXCLUDED.quantity,
+      expiry_date = COALESCE(EXCLUDED.expiry_date, stock_lots.expiry_date),
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `;
+};
+
+// Build the statement that takes stock out of the lots at one level of an item,
+// first-expiry-first-out. With options.quantity that much is taken (as far as the
+// lots hold it); otherwise the lots are trimmed until they fit the level's
+// quantity, so run it after the level change. With options.transfer_line_id the
+// lots taken are recorded on that transfer line.
+const buildLotDebitQuery = (sql, itemId, level, options = {}) => {
+  return sql(`
+    WITH locked AS (
+      SELECT id, quantity, expiry_date, received_date FROM stock_lots
+      WHERE item_id = $1 AND warehouse_id = $2 AND location = $3 AND quantity > 0
+      FOR UPDATE
+    ),
+    target AS (
+      SELECT COALESCE($4::integer, GREATEST(0, COALESCE((SELECT SUM(quantity) FROM locked), 0) - COALESCE((
+        SELECT quantity FROM stock_levels
+        WHERE item_id = $1 AND warehouse_id = $2 AND location = $3
+      ), 0))) AS quantity
+    ),
+    ordered AS (
+      SELECT l.id, l.quantity,
+        SUM(l.quantity) OVER (ORDER BY l.expiry_date ASC NULLS LAST, l.received_date ASC, l.id) - l.quantity AS before
+      FROM locked l
+    ),
+    taken AS (
+      UPDATE stock_lots l SET
+        quantity = l.quantity - LEAST(o.quantity, t.quantity - o.before),
+        updated_at = CURRENT_TIMESTAMP
+      FROM ordered o, target t
+      WHERE l.id = o.id AND o.before < t.quantity
+      RETURNING l.id, l.lot_number, l.expiry_date, l.received_date, LEAST(o.quantity, t.quantity - o.before)::integer AS quantity
+    )
+    ${options.transfer_line_id
+      ? `UPDATE transfer_order_lines SET lots = (
+          SELECT COALESCE(jsonb_agg(to_jsonb(taken) - 'id'), '[]'::jsonb) FROM taken
+        ) WHERE id = $5 RETURNING lots`
+      : 'SELECT * FROM taken'}
+  `, [
+    itemId,
+    level.warehouse_id,
+    level.location || '',
+    options.quantity ?? null,
+    ...(options.transfer_line_id ? [options.transfer_line_id] : [])
+  ]);
+};
+
+// Build the statement that credits the lots recorded on a dispatched transfer
+// line to its destination
+const buildTransferLotReceiptQuery = (sql, lineId, warehouseId) => {
+  return sql`
+    INSERT INTO stock_lots (item_id, lot_number, warehouse_id, location, quantity, expiry_date, received_date)
+    SELECT tl.item_id, lot.lot_number, ${warehouseId}, tl.destination_location, lot.quantity, lot.expiry_date, lot.received_date
+    FROM transfer_order_lines tl,
+      jsonb_to_recordset(COALESCE(tl.lots, '[]'::jsonb)) AS lot(lot_number VARCHAR, quantity INTEGER, expiry_date DATE, received_date DATE)
+    WHERE tl.id = ${lineId} AND lot.quantity > 0
+    ON CONFLICT (item_id, lot_number, warehouse_id, location) DO UPDATE SET
+      quantity = stock_lots.quantity + EXCLUDED.quantity,
+      expiry_date = COALESCE(EXCLUDED.expiry_date, stock_lots.expiry_date),
+      updated_at = CURRENT_TIMESTAMP
+  `;
+};
+
+// Build the statement that counts stock received against an inbound material
+// shipment: the shipment is marked delivered and its received quantity and
+// discrepancy grow by the base quantity booked
+const buildShipmentReceiptQuery = (sql, shipmentId, quantity, receipt = {}) => {
+  return sql`
+    UPDATE material_shipments SET
+      status = 'delivered',
+      received_date = COALESCE(received_date, ${receipt.received_date || null}::date, CURRENT_DATE),
+      handled_by = COALESCE(${receipt.user || null}, handled_by),
+      received_quantity = COALESCE(received_quantity, 0) + ${quantity},
+      discrepancy_quantity = COALESCE(received_quantity, 0) + ${quantity} - COALESCE(base_quantity, quantity),
+      version = version + 1,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ${shipmentId} AND shipment_type = 'inbound'
+    RETURNING *
+  `;
+};
+
+// Refuse stock received against a material shipment that cannot take it: the
+// shipment must exist, be inbound, open and for the item being received
+const assertShipmentReceivable = async (shipmentId, item) => {
+  if (!/^\d{1,9}$/.test(String(shipmentId))) {
+    throw createInventoryError(`Invalid material_shipment_id "${shipmentId}"`);
+  }
+  const shipment = await getMaterialShipmentById(Number(shipmentId));
+  if (!shipment || shipment.deleted_at) {
+    throw createInventoryError(`Material shipment ${shipmentId} not found`, 404);
+  }
+  if (shipment.shipment_type !== 'inbound') {
+    throw createInventoryError(`Shipment ${shipment.shipment_id} is outbound, only inbound shipments can be received`);
+  }
+  if (shipment.status === 'cancelled') {
+    throw createInventoryError(`Shipment ${shipment.shipment_id} is cancelled`, 409);
+  }
+  if (shipment.item_code !== item.item_code) {
+    throw createInventoryError(`Shipment ${shipment.shipment_id} is for ${shipment.item_code || 'no inventory item'}, not ${item.item_code}`);
+  }
+};
+
+// Receive stock for an item into a lot; the stock level and the lot move together,
+// and a lot received against a material shipment counts towards its receipt
+const receiveStockLot = async (itemId, lotData, movement = {}) => {
+  try {
+    const sql = await database.sql();
+
+    if (!lotData.lot_number) {
+      throw createInventoryError('Lot number is required');
+    }
+
+    const item = await getInventoryItemById(itemId);
+    if (!item) {
+      return null;
+    }
+    if (lotData.material_shipment_id) {
+      await assertShipmentReceivable(lotData.material_shipment_id, item);
+    }
+
+    const quantity = Number(lotData.quantity) > 0
+      ? await convertToBaseUnit(sql, item, lotData.quantity, lotData.unit)
+      : Number(lotData.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw createInventoryError('Quantity must be a positive whole number');
+    }
+
+    const warehouseId = lotData.warehouse_id || item.warehouse_id;
+    if (!warehouseId) {
+      throw createInventoryError(`No warehouse given for ${item.item_code} and it has no default warehouse`);
+    }
+    const location = lotData.location || item.location || '';
+    const warnings = await checkWarehouseCapacity(sql, { [warehouseId]: quantity });
+
+    const queries = [
+      buildStockChangeQuery(sql, item.id, quantity, 'add', {
+        reason: 'receipt',
+        ...movement,
+        warehouse_id: warehouseId,
+        location
+      }),
+      buildLotReceiptQuery(sql, item.id, {
+        ...lotData,
+        quantity,
+        warehouse_id: warehouseId,
+        location
+      })
+    ];
+    if (lotData.material_shipment_id) {
+      queries.push(buildShipmentReceiptQuery(sql, lotData.material_shipment_id, quantity, {
+        received_date: lotData.received_date,
+        user: movement.user
+      }));
+    }
+    const results = await sql.transaction(queries);
+
+    await notifyCapacityWarnings(warnings);
+    return { item: results[0][0], lot: results[1][0], warnings };
+  } catch (err) {
+    console.error('Error receiving stock lot:', err);
+    throw err;
+  }
+};
+
+// Get lots with stock that expire within the given number of days (including already expired)
+const getExpiringLots = async (days = 30, filters = {}) => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      SELECT 
+        l.*,
+        i.item_code,
+        i.product_name,
+        i.unit_of_measure,
+        w.warehouse_name,
+        (l.expiry_date - CURRENT_DATE) AS days_until_expiry
+      FROM stock_lots l
+      JOIN inventory_items i ON l.item_id = i.id
+      LEFT JOIN warehouses w ON l.warehouse_id = w.warehouse_id
+      WHERE l.quantity > 0
+        AND l.expiry_date IS NOT NULL
+        AND l.expiry_date <= CURRENT_DATE + ${days}::integer
+        AND (${filters.warehouse || null}::varchar IS NULL OR l.warehouse_id = ${filters.warehouse || null})
+      ORDER BY l.expiry_date, i.item_code
+    `;
+    return result;
+  } catch (err) {
+    console.error('Error fetching expiring lots:', err);
+    throw err;
+  }
+};
+
+// Raise one warning notification per expiring lot that has not been reported yet
+const notifyExpiringLots = async (lots) => {
+  try {
+    const sql = await database.sql();
+    const pending = lots.filter(lot => !lot.expiry_notified_at);
+
+    for (const lot of pending) {
+      const when = lot.days_until_expiry < 0
+        ? `expired ${Math.abs(lot.days_until_expiry)} day(s) ago`
+        : `expires in ${lot.days_until_expiry} day(s)`;
+      await database.createNotification(
+        'Lot Expiring',
+        `Lot ${lot.lot_number} of ${lot.product_name} (${lot.item_code}), ${lot.quantity} ${lot.unit_of_measure} at ${lot.warehouse_id}, ${when}`,
+        'warning'
+      );
+    }
+
+    if (pending.length > 0) {
+      await sql`
+        UPDATE stock_lots SET expiry_notified_at = CURRENT_TIMESTAMP
+        WHERE id = ANY(${pending.map(lot => lot.id)})
+      `;
+    }
+
+    return pending.length;
+  } catch (err) {
+    console.error('Error notifying expiring lots:', err);
+    throw err;
+  }
+};
+
+// Allocate an order's quantity against the item's lots, first-expiry-first-out.
+// Expired lots and quantity already allocated to other processing orders are skipped.
+// Any earlier unconsumed allocation of the order is replaced.
+const allocateOrderLots = async (orderId) => {
+  try {
+    const sql = await database.sql();
+    const orders = await sql`
+      SELECT o.id, COALESCE(o.base_quantity, o.quantity) AS quantity, i.id AS item_id
+      FROM order_shipments o
+      LEFT JOIN inventory_items i ON i.item_code = o.item_code
+      WHERE o.id = ${orderId}
+    `;
+    const order = orders[0];
+    if (!order) {
+      return null;
+    }
+
+    const release = sql`
+      DELETE FROM order_lot_allocations
+      WHERE order_shipment_id = ${orderId} AND consumed_at IS NULL
+    `;
+    if (!order.item_id) {
+      await sql.transaction([release]);
+      return { allocations: [], allocated: 0, shortfall: order.quantity };
+    }
+
+    // Locking the item's lots first makes concurrent allocations take turns, so
+    // each one sees what the other allocated
+    const results = await sql.transaction([
+      sql`SELECT id FROM stock_lots WHERE item_id = ${order.item_id} FOR UPDATE`,
+      release,
+      sql`
+        WITH lots AS (
+          SELECT
+            l.id, l.expiry_date, l.received_date,
+            l.quantity - COALESCE((
+              SELECT SUM(a.quantity)
+              FROM order_lot_allocations a
+              JOIN order_shipments o ON a.order_shipment_id = o.id
+              WHERE a.lot_id = l.id AND a.consumed_at IS NULL AND o.status = 'processing'
+            ), 0) AS available
+          FROM stock_lots l
+          WHERE l.item_id = ${order.item_id}
+            AND l.quantity > 0
+            AND (l.expiry_date IS NULL OR l.expiry_date >= CURRENT_DATE)
+        ),
+        ordered AS (
+          SELECT id, available,
+            SUM(available) OVER (ORDER BY expiry_date ASC NULLS LAST, received_date ASC, id) - available AS before
+          FROM lots
+          WHERE available > 0
+        ),
+        inserted AS (
+          INSERT INTO order_lot_allocations (order_shipment_id, lot_id, quantity)
+          SELECT ${orderId}, id, LEAST(available, ${order.quantity} - before)
+          FROM ordered
+          WHERE before < ${order.quantity}
+          RETURNING lot_id, quantity
+        )
+        SELECT a.lot_id, l.lot_number, l.warehouse_id, l.location, l.expiry_date, a.quantity
+        FROM inserted a
+        JOIN stock_lots l ON a.lot_id = l.id
+        ORDER BY l.expiry_date ASC NULLS LAST, l.received_date ASC, l.id
+      `
+    ]);
+
+    const allocations = results[2];
+    const allocated = allocations.reduce((sum, allocation) => sum + allocation.quantity, 0);
+    return {
+      allocations,
+      allocated,
+      shortfall: order.quantity - allocated
+    };
+  } catch (err) {
+    console.error('Error allocating order lots:', err);
+    throw err;
+  }
+};
+
+// Get the lot allocations of an order
+const getOrderLotAllocations = async (orderId) => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      SELECT a.*, l.lot_number, l.warehouse_id, l.location, l.expiry_date
+      FROM order_lot_allocations a
+      JOIN stock_lots l ON a.lot_id = l.id
+      WHERE a.order_shipment_id = ${orderId}
+      ORDER BY l.expiry_date ASC NULLS LAST, a.id
+    `;
+    return result;
+  } catch (err) {
+    console.error('Error fetching order lot allocations:', err);
+    throw err;
+  }
+};
+
+// Serial number statuses
+const SERIAL_STATUSES = ['in_stock', 'reserved', 'shipped', 'returned'];
+
+// Get the serial numbers of an item, optionally by status
+const getItemSerials = async (itemId, filters = {}) => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      SELECT * FROM item_serials
+      WHERE item_id = ${itemId}
+        AND (${filters.status || null}::varchar IS NULL OR status = ${filters.status || null})
+      ORDER BY serial_number
+    `;
+    return result;
+  } catch (err) {
+    console.error('Error fetching item serials:', err);
+    throw err;
+  }
+};
+
+// Build the statement that registers received serial numbers as in stock and
+// logs their receipt
+const buildSerialReceiptQuery = (sql, itemId, serialNumbers, receipt = {}) => {
+  const shipmentId = receipt.material_shipment_id || null;
+  return sql`
+    WITH inserted AS (
+      INSERT INTO item_serials (item_id, serial_number, status, warehouse_id, location, material_shipment_id)
+      SELECT ${itemId}, serial_number, 'in_stock', ${receipt.warehouse_id}, ${receipt.location}, ${shipmentId}
+      FROM unnest(${serialNumbers}::varchar[]) AS serial_number
+      RETURNING *
+    ),
+    events AS (
+      INSERT INTO serial_events (serial_id, event_type, to_status, reference_type, reference_id, created_by)
+      SELECT id, 'received', 'in_stock', ${shipmentId ? 'material_shipment' : null}, ${shipmentId ? String(shipmentId) : null}, ${receipt.user || null}
+      FROM inserted
+    )
+    SELECT * FROM inserted
+  `;
+};
+
+// Serial numbers from a request, trimmed, empty entries dropped
+const parseSerialNumbers = (serialNumbers) => {
+  return Array.isArray(serialNumbers)
+    ? serialNumbers.map(serial => String(serial).trim()).filter(Boolean)
+    : [];
+};
+
+// Refuse serial numbers that repeat or are already registered
+const assertNewSerialNumbers = async (sql, serialNumbers) => {
+  if (new Set(serialNumbers).size !== serialNumbers.length) {
+    throw createInventoryError('Serial numbers must be unique');
+  }
+  const existing = await sql`
+    SELECT serial_number FROM item_serials WHERE serial_number = ANY(${serialNumbers})
+  `;
+  if (existing.length > 0) {
+    throw createInventoryError(`Serial number(s) already registered: ${existing.map(row => row.serial_number).join(', ')}`, 409);
+  }
+};
+
+// Register received serial numbers for an item. The units are added to stock in
+// the same transaction and the item is marked as serialized; serials received
+// against a material shipment count towards its receipt.
+const registerSerials = async (itemId, receipt, user = null) => {
+  try {
+    const sql = await database.sql();
+    const serialNumbers = parseSerialNumbers(receipt.serial_numbers);
+
+    if (serialNumbers.length === 0) {
+      throw createInventoryError('At least one serial number is required');
+    }
+
+    const item = await getInventoryItemById(itemId);
+    if (!item) {
+      return null;
+    }
+
+    await assertNewSerialNumbers(sql, serialNumbers);
+    if (receipt.material_shipment_id) {
+      await assertShipmentReceivable(receipt.material_shipment_id, item);
+    }
+
+    const warehouseId = receipt.warehouse_id || item.warehouse_id;
+    if (!warehouseId) {
+      throw createInventoryError(`No warehouse given for ${item.item_code} and it has no default warehouse`);
+    }
+    const location = receipt.location || item.location || '';
+    const shipmentId = receipt.material_shipment_id || null;
+    const warnings = await checkWarehouseCapacity(sql, { [warehouseId]: serialNumbers.length });
+
+    const queries = [
+      buildStockChangeQuery(sql, item.id, serialNumbers.length, 'add', {
+        reason: 'receipt',
+        reference_type: shipmentId ? 'shipment' : 'serial',
+        reference_id: shipmentId ? String(shipmentId) : null,
+        notes: `Serials: ${serialNumbers.join(', ')}`,
+        user,
+        warehouse_id: warehouseId,
+        location
+      }),
+      sql`UPDATE inventory_items SET is_serialized = true WHERE id = ${item.id}`,
+      buildSerialReceiptQuery(sql, item.id, serialNumbers, {
+        warehouse_id: warehouseId,
+        location,
+        material_shipment_id: shipmentId,
+        user
+      })
+    ];
+    if (shipmentId) {
+      queries.push(buildShipmentReceiptQuery(sql, shipmentId, serialNumbers.length, { user }));
+    }
+    const results = await sql.transaction(queries);
+
+    await notifyCapacityWarnings(warnings);
+    return results[2];
+  } catch (err) {
+    console.error('Error registering serials:', err);
+    throw err;
+  }
+};
+
+// Build the statement that moves matching serials to a new status and logs the event
+// With change.from_status, a serial found in any other status aborts the transaction
+const buildSerialStatusQuery = (sql, serialIds, change) => {
+  return sql`
+    WITH previous AS (
+      SELECT id, status FROM item_serials WHERE id = ANY(${serialIds}) FOR UPDATE
+    ),
+    updated AS (
+      UPDATE item_serials s SET
+        status = CASE WHEN ${change.from_status || null}::varchar IS NULL OR p.status = ${change.from_status || null}
+          THEN ${change.status} END,
+        order_shipment_id = CASE WHEN ${change.status} = 'in_stock' THEN NULL ELSE COALESCE(${change.order_shipment_id || null}::integer, s.order_shipment_id) END,
+        shipped_at = CASE WHEN ${change.status} = 'shipped' THEN CURRENT_TIMESTAMP ELSE s.shipped_at END,
+        updated_at = CURRENT_TIMESTAMP
+      FROM previous p
+      WHERE s.id = p.id
+      RETURNING s.*, p.status AS previous_status
+    ),
+    events AS (
+      INSERT INTO serial_events (serial_id, event_type, from_status, to_status, reference_type, reference_id, notes, created_by)
+      SELECT id, ${change.event_type}, previous_status, status, ${change.reference_type || null}, ${change.reference_id || null}, ${change.notes || null}, ${change.user || null}
+      FROM updated
+    )
+    SELECT * FROM updated
+  `;
+};
+
+// Whether a transaction was aborted because a serial left the status it was
+// expected in while it ran (the status guard sets it to NULL)
+const isSerialStateError = (err) => {
+  return err && err.code === '23502' && err.table === 'item_serials' && err.column === 'status';
+};
+
+// Assign a scanned serial to an order shipment. The unit is reserved for the
+// order, or marked shipped straight away when the order has already shipped.
+const assignSerialToOrder = async (serialNumber, orderId, user = null) => {
+  try {
+    const sql = await database.sql();
+    const serials = await sql`
+      SELECT s.*, i.item_code FROM item_serials s
+      JOIN inventory_items i ON s.item_id = i.id
+      WHERE s.serial_number = ${serialNumber}
+    `;
+    const serial = serials[0];
+    if (!serial) {
+      throw createInventoryError(`Serial number ${serialNumber} is not registered`, 404);
+    }
+
+    const orders = await sql`
+      SELECT * FROM order_shipments WHERE order_id = ${orderId}
+    `;
+    const order = orders[0];
+    if (!order) {
+      throw createInventoryError(`Order ${orderId} not found`, 404);
+    }
+    if (order.item_code !== serial.item_code) {
+      throw createInventoryError(`Serial ${serialNumber} is ${serial.item_code}, but order ${orderId} is for ${order.item_code}`);
+    }
+    if (serial.status !== 'in_stock') {
+      throw createInventoryError(`Serial ${serialNumber} is ${serial.status} and cannot be assigned`, 409);
+    }
+    if (['cancelled', 'delivered'].includes(order.status)) {
+      throw createInventoryError(`Order ${orderId} is ${order.status}`, 409);
+    }
+
+    const assigned = await sql`
+      SELECT COUNT(*) AS count FROM item_serials
+      WHERE order_shipment_id = ${order.id} AND status IN ('reserved', 'shipped')
+    `;
+    const orderQuantity = order.base_quantity ?? order.quantity;
+    if (parseInt(assigned[0].count) >= orderQuantity) {
+      throw createInventoryError(`Order ${orderId} already has all ${orderQuantity} serial(s) assigned`, 409);
+    }
+
+    const shipped = order.status === 'shipped';
+    const result = await buildSerialStatusQuery(sql, [serial.id], {
+      status: shipped ? 'shipped' : 'reserved',
+      event_type: shipped ? 'shipped' : 'reserved',
+      order_shipment_id: order.id,
+      reference_type: 'order_shipment',
+      reference_id: String(order.id),
+      notes: 'Scanned on Barcode page',
+      user
+    });
+
+    return result[0];
+  } catch (err) {
+    console.error('Error assigning serial to order:', err);
+    throw err;
+  }
+};
+
+// Move the serials reserved for an order to shipped, or back to stock when the order is released
+const updateOrderSerials = async (orderShipmentId, action, user = null) => {
+  try {
+    const sql = await database.sql();
+    const reserved = await sql`
+      SELECT id FROM item_serials
+      WHERE order_shipment_id = ${orderShipmentId} AND status = 'reserved'
+    `;
+    if (reserved.length === 0) {
+      return [];
+    }
+
+    return await buildSerialStatusQuery(sql, reserved.map(row => row.id), {
+      status: action === 'ship' ? 'shipped' : 'in_stock',
+      event_type: action === 'ship' ? 'shipped' : 'released',
+      reference_type: 'order_shipment',
+      reference_id: String(orderShipmentId),
+      user
+    });
+  } catch (err) {
+    console.error('Error updating order serials:', err);
+    throw err;
+  }
+};
+
+// Record a customer return of a shipped serial. The unit goes back into stock at
+// the serial's warehouse and location, with its movement, in one transaction.
+const returnSerial = async (serialNumber, user = null, notes = null) => {
+  try {
+    const sql = await database.sql();
+    const serials = await sql`
+      SELECT s.*, i.item_code, i.warehouse_id AS item_warehouse_id
+      FROM item_serials s
+      JOIN inventory_items i ON s.item_id = i.id
+      WHERE s.serial_number = ${serialNumber}
+    `;
+    const serial = serials[0];
+    if (!serial) {
+      return null;
+    }
+    if (serial.status !== 'shipped') {
+      throw createInventoryError(`Serial ${serialNumber} is ${serial.status}, only shipped serials can be returned`, 409);
+    }
+    if (!serial.warehouse_id && !serial.item_warehouse_id) {
+      throw createInventoryError(`No warehouse to return serial ${serialNumber} to, ${serial.item_code} has no default warehouse`);
+    }
+
+    const referenceId = serial.order_shipment_id ? String(serial.order_shipment_id) : null;
+    let results;
+    try {
+      results = await sql.transaction([
+        buildSerialStatusQuery(sql, [serial.id], {
+          status: 'in_stock',
+          from_status: 'shipped',
+          event_type: 'returned',
+          reference_type: 'order_shipment',
+          reference_id: referenceId,
+          notes,
+          user
+        }),
+        buildStockChangeQuery(sql, serial.item_id, 1, 'add', {
+          reason: 'return',
+          reference_type: 'order_shipment',
+          reference_id: referenceId,
+          notes: `Serial ${serialNumber} returned`,
+          user,
+          warehouse_id: serial.warehouse_id,
+          location: serial.location
+        })
+      ]);
+    } catch (err) {
+      if (isSerialStateError(err)) {
+        throw createInventoryError(`Serial ${serialNumber} was changed by someone else, reload and try again`, 409);
+      }
+      throw err;
+    }
+    return results[0][0];
+  } catch (err) {
+    console.error('Error returning serial:', err);
+    throw err;
+  }
+};
+
+// Get the full history of a serial across its events, shipments, orders and scans
+const getSerialHistory = async (serialNumber) => {
+  try {
+    const sql = await database.sql();
+    const serials = await sql`
+      SELECT s.*, i.item_code, i.product_name
+      FROM item_serials s
+      JOIN inventory_items i ON s.item_id = i.id
+      WHERE s.serial_number = ${serialNumber}
+    `;
+    const serial = serials[0];
+    if (!serial) {
+      return null;
+    }
+
+    const events = await sql`
+      SELECT * FROM serial_events WHERE serial_id = ${serial.id}
+      ORDER BY created_at, id
+    `;
+
+    const orderIds = new Set(serial.order_shipment_id ? [serial.order_shipment_id] : []);
+    const shipmentIds = new Set(serial.material_shipment_id ? [serial.material_shipment_id] : []);
+    for (const event of events) {
+      if (event.reference_type === 'order_shipment' && event.reference_id) {
+        orderIds.add(parseInt(event.reference_id));
+      }
+      if (event.reference_type === 'material_shipment' && event.reference_id) {
+        shipmentIds.add(parseInt(event.reference_id));
+      }
+    }
+
+    const [materialShipments, orderShipments, scans] = await Promise.all([
+      sql`SELECT * FROM material_shipments WHERE id = ANY(${[...shipmentIds]}::integer[]) ORDER BY created_at`,
+      sql`SELECT * FROM order_shipments WHERE id = ANY(${[...orderIds]}::integer[]) ORDER BY created_at`,
+      sql`SELECT * FROM scan_history WHERE scanned_code = ${serialNumber} ORDER BY created_at`
+    ]);
+
+    return {
+      serial,
+      events,
+      material_shipments: materialShipments,
+      order_shipments: orderShipments,
+      scans
+    };
+  } catch (err) {
+    console.error('Error fetching serial history:', err);
+    throw err;
+  }
+};
+
+// Get all material shipments with optional filters
+const getAllMaterialShipments = async (filters = {}) => {
+  try {
+    const sql = await database.sql();
+    let conditions = [];
+    let params = [];
+
+    const archivedCondition = buildArchivedCondition('deleted_at', filters.archived);
+    if (archivedCondition) {
+      conditions.push(archivedCondition);
+    }
+    
+    if (filters.search) {
+      conditions.push(`(material_name ILIKE $${params.length + 1} OR shipment_id ILIKE $${params.length + 1} OR source ILIKE $${params.length + 1})`);
+      params.push(`%${filters.search}%`);
+    }
+    
+    if (filters.status) {
+      conditions.push(`status = $${params.length + 1}`);
+      params.push(filters.status);
     }
     
     if (filters.type) {
@@ -470,21 +3929,21 @@ const getAllMaterialShipments = async (filters = {}) => {
       params.push(filters.date);
     }
     
-    if (conditions.length > 0) {
-      const whereClause = ` WHERE ${conditions.join(' AND ')}`;
-      query = sql`
-        SELECT * FROM material_shipments
-        ${sql.unsafe(whereClause)}
-        ORDER BY created_at DESC
-      `;
-    } else {
-      query = sql`
-        SELECT * FROM material_shipments
-        ORDER BY created_at DESC
-      `;
+    const whereClause = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    let query = `
+      SELECT * FROM material_shipments
+      ${whereClause}
+      ORDER BY created_at DESC, id DESC
+    `;
+
+    if (filters.limit) {
+      params.push(filters.limit);
+      query += ` LIMIT $${params.length}`;
+      params.push(filters.offset || 0);
+      query += ` OFFSET $${params.length}`;
     }
     
-    const result = await query;
+    const result = await sql(query, params);
     return result;
   } catch (err) {
     console.error('Error fetching material shipments:', err);
@@ -508,42 +3967,83 @@ const getMaterialShipmentById = async (id) => {
   }
 };
 
+const SHIPMENT_TYPES = ['inbound', 'outbound'];
+const SHIPMENT_STATUSES = ['draft', 'pending', 'shipped', 'delivered', 'cancelled'];
+
+// Schema of a material shipment, checked on every create and update
+const MATERIAL_SHIPMENT_SCHEMA = {
+  shipment_id: { type: 'string', required: true },
+  bom_id: { type: 'string', nullable: true },
+  item_code: { type: 'string', nullable: true },
+  category_id: { type: 'string', required: true },
+  material_name: { type: 'string', required: true },
+  quantity: { type: 'integer', required: true, min: 1 },
+  unit: { type: 'string', required: true },
+  shipment_type: { type: 'string', required: true, enum: SHIPMENT_TYPES },
+  source: { type: 'string', required: true },
+  destination: { type: 'string', required: true },
+  status: { type: 'string', enum: SHIPMENT_STATUSES, nullable: true },
+  date_shipped: { type: 'date', nullable: true },
+  estimated_delivery: { type: 'date', nullable: true, notBefore: 'date_shipped' },
+  received_date: { type: 'date', nullable: true },
+  handled_by: { type: 'string', nullable: true },
+  notes: { type: 'string', nullable: true },
+  lot_number: { type: 'string', nullable: true },
+  expiry_date: { type: 'date', nullable: true },
+  unit_cost: { type: 'number', min: 0, nullable: true }
+};
+
+// Build the statement that inserts a material shipment
+const buildMaterialShipmentInsertQuery = (sql, shipmentData, baseQuantity) => {
+  const {
+    shipment_id,
+    bom_id,
+    item_code,
+    category_id,
+    material_name,
+    quantity,
+    unit,
+    shipment_type,
+    source,
+    destination,
+    status,
+    date_shipped,
+    estimated_delivery,
+    received_date,
+    handled_by,
+    notes,
+    lot_number,
+    expiry_date,
+    unit_cost
+  } = shipmentData;
+
+  return sql`
+    INSERT INTO material_shipments (
+      shipment_id, bom_id, item_code, category_id, material_name, quantity, unit, 
+      shipment_type, source, destination, status, date_shipped, 
+      estimated_delivery, received_date, handled_by, notes, lot_number, expiry_date,
+      base_quantity, unit_cost, updated_at
+    ) VALUES (
+      ${shipment_id}, ${bom_id}, ${item_code || null}, ${category_id}, ${material_name}, 
+      ${quantity}, ${unit}, ${shipment_type}, ${source}, ${destination}, 
+      ${status}, ${date_shipped}, ${estimated_delivery}, ${received_date}, 
+      ${handled_by}, ${notes}, ${lot_number || null}, ${expiry_date || null},
+      ${baseQuantity}, ${unit_cost ?? null}, CURRENT_TIMESTAMP
+    )
+    RETURNING *
+  `;
+};
+
 // Create new material shipment
 const createMaterialShipment = async (shipmentData) => {
   try {
     const sql = await database.sql();
-    const {
-      shipment_id,
-      bom_id,      
-      category_id,
-      material_name,
-      quantity,
-      unit,
-      shipment_type,
-      source,
-      destination,
-      status,
-      date_shipped,
-      estimated_delivery,
-      received_date,
-      handled_by,
-      notes
-    } = shipmentData;
-    
-    const result = await sql`
-      INSERT INTO material_shipments (
-        shipment_id, bom_id, category_id, material_name, quantity, unit, 
-        shipment_type, source, destination, status, date_shipped, 
-        estimated_delivery, received_date, handled_by, notes, updated_at
-      ) VALUES (
-        ${shipment_id}, ${bom_id}, ${category_id}, ${material_name}, 
-        ${quantity}, ${unit}, ${shipment_type}, ${source}, ${destination}, 
-        ${status}, ${date_shipped}, ${estimated_delivery}, ${received_date}, 
-        ${handled_by}, ${notes}, CURRENT_TIMESTAMP
-      )
-      RETURNING *
-    `;
+    const { item_code, quantity, unit } = shipmentData;
+
+    assertValidRecord(MATERIAL_SHIPMENT_SCHEMA, shipmentData);
+    const baseQuantity = await resolveBaseQuantity(sql, item_code, quantity, unit);
     
+    const result = await buildMaterialShipmentInsertQuery(sql, shipmentData, baseQuantity);
     return result[0];
   } catch (err) {
     console.error('Error creating material shipment:', err);
@@ -551,13 +4051,25 @@ const createMaterialShipment = async (shipmentData) => {
   }
 };
 
+// Inbound shipments only become delivered through receiveMaterialShipment, which
+// books their stock; refuse any other write that would mark one delivered
+const assertNotDeliveredWithoutReceipt = (current, shipmentType, status) => {
+  if (shipmentType === 'inbound' && status === 'delivered' && current.status !== 'delivered') {
+    throw createInventoryError(
+      `Receive shipment ${current.shipment_id} to mark it delivered, so its stock is booked`,
+      409
+    );
+  }
+};
+
 // Update material shipment
-const updateMaterialShipment = async (id, shipmentData) => {
+const updateMaterialShipment = async (id, shipmentData, user = null) => {
   try {
     const sql = await database.sql();
     const {
       shipment_id,
       bom_id,        // Changed from material_id
+      item_code,
       category_id,
       material_name,
       quantity,
@@ -570,123 +4082,702 @@ const updateMaterialShipment = async (id, shipmentData) => {
       estimated_delivery,
       received_date,
       handled_by,
-      notes
+      notes,
+      lot_number,
+      expiry_date,
+      unit_cost,
+      version
     } = shipmentData;
+
+    assertValidRecord(MATERIAL_SHIPMENT_SCHEMA, shipmentData);
+    const current = await getMaterialShipmentById(id);
+    if (!current || current.deleted_at) {
+      return null;
+    }
+    assertNotDeliveredWithoutReceipt(current, shipment_type, status);
+    const baseQuantity = await resolveBaseQuantity(sql, item_code, quantity, unit);
+    const snapshot = await getRowSnapshot(sql, 'material_shipments', id);
+    
+    let result;
+    try {
+      [result] = await sql.transaction([
+        sql`
+          UPDATE material_shipments SET
+            shipment_id = ${shipment_id},
+            bom_id = ${bom_id},        /* Changed from material_id */
+            item_code = ${item_code || null},
+            category_id = ${category_id},
+            material_name = ${material_name},
+            quantity = ${quantity},
+            unit = ${unit},
+            shipment_type = ${shipment_type},
+            source = ${source},
+            destination = ${destination},
+            status = ${status},
+            date_shipped = ${date_shipped},
+            estimated_delivery = ${estimated_delivery},
+            received_date = ${received_date},
+            handled_by = ${handled_by},
+            notes = ${notes},
+            lot_number = ${lot_number || null},
+            expiry_date = ${expiry_date || null},
+            base_quantity = ${baseQuantity},
+            unit_cost = ${unit_cost ?? null},
+            version = CASE WHEN ${version ?? null}::integer IS NULL OR version = ${version ?? null}::integer THEN version + 1 END,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = ${id} AND deleted_at IS NULL
+          RETURNING *
+        `,
+        buildChangeHistoryQuery(sql, 'material_shipments', id, snapshot, user)
+      ]);
+    } catch (err) {
+      if (isVersionConflictError(err)) {
+        throw createVersionConflictError(`Shipment ${shipment_id}`, await getMaterialShipmentById(id));
+      }
+      throw err;
+    }
     
+    return result[0];
+  } catch (err) {
+    console.error('Error updating material shipment:', err);
+    throw err;
+  }
+};
+
+// Change only the supplied fields of a material shipment, checked against the
+// version read here (or the one the client saw)
+const patchMaterialShipment = async (id, changes, user = null) => {
+  try {
+    const { version, ...fields } = changes;
+    const errors = validateFields(MATERIAL_SHIPMENT_SCHEMA, fields, { partial: true });
+    if (errors.length > 0) {
+      throw createValidationError(errors);
+    }
+
+    const current = await getMaterialShipmentById(id);
+    if (!current || current.deleted_at) {
+      return null;
+    }
+
+    return await updateMaterialShipment(id, {
+      ...current,
+      ...fields,
+      version: version ?? current.version
+    }, user);
+  } catch (err) {
+    console.error('Error patching material shipment:', err);
+    throw err;
+  }
+};
+
+// Move a material shipment to the recycle bin
+const deleteMaterialShipment = async (id, user = null) => {
+  try {
+    const sql = await database.sql();
     const result = await sql`
+      UPDATE material_shipments SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ${user}
+      WHERE id = ${id} AND deleted_at IS NULL
+      RETURNING *
+    `;
+    
+    return result[0];
+  } catch (err) {
+    console.error('Error deleting material shipment:', err);
+    throw err;
+  }
+};
+
+// Get material shipment statistics
+const getMaterialShipmentStats = async () => {
+  try {
+    const sql = await database.sql();
+    const totalShipments = await sql`SELECT COUNT(*) as count FROM material_shipments WHERE deleted_at IS NULL`;
+    const deliveredShipments = await sql`SELECT COUNT(*) as count FROM material_shipments WHERE status = 'delivered' AND deleted_at IS NULL`;
+    const pendingShipments = await sql`SELECT COUNT(*) as count FROM material_shipments WHERE status = 'pending' AND deleted_at IS NULL`;
+    const shippedShipments = await sql`SELECT COUNT(*) as count FROM material_shipments WHERE status = 'shipped' AND deleted_at IS NULL`;
+    const inboundShipments = await sql`SELECT COUNT(*) as count FROM material_shipments WHERE shipment_type = 'inbound' AND deleted_at IS NULL`;
+    const outboundShipments = await sql`SELECT COUNT(*) as count FROM material_shipments WHERE shipment_type = 'outbound' AND deleted_at IS NULL`;
+    
+    return {
+      totalShipments: parseInt(totalShipments[0].count),
+      deliveredShipments: parseInt(deliveredShipments[0].count),
+      pendingShipments: parseInt(pendingShipments[0].count),
+      shippedShipments: parseInt(shippedShipments[0].count),
+      inboundShipments: parseInt(inboundShipments[0].count),
+      outboundShipments: parseInt(outboundShipments[0].count)
+    };
+  } catch (err) {
+    console.error('Error fetching material shipment statistics:', err);
+    throw err;
+  }
+};
+
+// Update shipment status
+const updateShipmentStatus = async (id, status, receivedDate = null) => {
+  try {
+    const sql = await database.sql();
+    const current = await getMaterialShipmentById(id);
+    if (!current || current.deleted_at) {
+      return null;
+    }
+    assertNotDeliveredWithoutReceipt(current, current.shipment_type, status);
+    let query;
+    
+    if (receivedDate) {
+      query = sql`
+        UPDATE material_shipments 
+        SET status = ${status}, received_date = ${receivedDate}, version = version + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${id} AND deleted_at IS NULL
+        RETURNING *
+      `;
+    } else {
+      query = sql`
+        UPDATE material_shipments 
+        SET status = ${status}, version = version + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${id} AND deleted_at IS NULL
+        RETURNING *
+      `;
+    }
+    
+    const result = await query;
+    return result[0];
+  } catch (err) {
+    console.error('Error updating shipment status:', err);
+    throw err;
+  }
+};
+
+// Receive an inbound shipment into stock. The received quantity (in the
+// shipment's unit unless another is given) may differ from what was shipped;
+// the difference is kept as the shipment's discrepancy. Stock goes to the given
+// warehouse and location, defaulting to the destination warehouse and the
+// item's location, and into the shipment's lot when it has one. Serialized
+// items need one serial number per unit received. Shipments already received
+// as lots or serials are refused, so their stock is not booked twice.
+const receiveMaterialShipment = async (id, receipt, user = null) => {
+  try {
+    const sql = await database.sql();
+    const shipment = await getMaterialShipmentById(id);
+    if (!shipment || shipment.deleted_at) {
+      return null;
+    }
+
+    if (shipment.shipment_type !== 'inbound') {
+      throw createInventoryError(`Shipment ${shipment.shipment_id} is outbound, only inbound shipments can be received`);
+    }
+    if (shipment.received_quantity !== null) {
+      throw createInventoryError(`Shipment ${shipment.shipment_id} has already been received`, 409);
+    }
+    if (shipment.status === 'cancelled') {
+      throw createInventoryError(`Shipment ${shipment.shipment_id} is cancelled`, 409);
+    }
+    if (!shipment.item_code) {
+      throw createInventoryError(`Shipment ${shipment.shipment_id} is not linked to an inventory item`);
+    }
+
+    const item = await findInventoryItemByCode(shipment.item_code);
+    if (!item) {
+      throw createInventoryError(`No inventory item with code ${shipment.item_code}`);
+    }
+
+    const [booked] = await sql`
+      SELECT
+        EXISTS (SELECT 1 FROM stock_lots WHERE material_shipment_id = ${shipment.id}) AS lots,
+        EXISTS (SELECT 1 FROM item_serials WHERE material_shipment_id = ${shipment.id}) AS serials
+    `;
+    if (booked.lots || booked.serials) {
+      throw createInventoryError(
+        `Shipment ${shipment.shipment_id} already has stock received against it as ${booked.lots ? 'lots' : 'serials'}`,
+        409
+      );
+    }
+
+    const errors = validateFields({
+      received_quantity: { type: 'integer', required: true, min: 0 },
+      received_date: { type: 'date', nullable: true }
+    }, receipt);
+    if (errors.length > 0) {
+      throw createValidationError(errors);
+    }
+
+    const quantity = await convertToBaseUnit(sql, item, receipt.received_quantity, receipt.unit || shipment.unit);
+    const expected = shipment.base_quantity ?? shipment.quantity;
+
+    // Each unit of a serialized item is registered, so stock and serials stay in step
+    const serialNumbers = parseSerialNumbers(receipt.serial_numbers);
+    if ((item.is_serialized || serialNumbers.length > 0) && serialNumbers.length !== quantity) {
+      throw createInventoryError(`${item.item_code} is serialized: give ${quantity} serial number(s), ${serialNumbers.length} given`);
+    }
+    if (serialNumbers.length > 0) {
+      await assertNewSerialNumbers(sql, serialNumbers);
+    }
+
+    const destination = await sql`SELECT warehouse_id FROM warehouses WHERE warehouse_id = ${shipment.destination}`;
+    const warehouseId = receipt.warehouse_id || (destination[0] ? destination[0].warehouse_id : item.warehouse_id);
+    if (!warehouseId) {
+      throw createInventoryError(`No warehouse given for ${item.item_code} and it has no default warehouse`);
+    }
+    const location = receipt.location || item.location || '';
+    const warnings = quantity > 0 ? await checkWarehouseCapacity(sql, { [warehouseId]: quantity }) : [];
+
+    const queries = [];
+    if (quantity > 0) {
+      queries.push(buildStockChangeQuery(sql, item.id, quantity, 'add', {
+        reason: 'receipt',
+        reference_type: 'shipment',
+        reference_id: String(shipment.id),
+        notes: receipt.notes,
+        user,
+        warehouse_id: warehouseId,
+        location
+      }));
+      if (serialNumbers.length > 0) {
+        queries.push(sql`UPDATE inventory_items SET is_serialized = true WHERE id = ${item.id}`);
+        queries.push(buildSerialReceiptQuery(sql, item.id, serialNumbers, {
+          warehouse_id: warehouseId,
+          location,
+          material_shipment_id: shipment.id,
+          user
+        }));
+      }
+      if (shipment.lot_number) {
+        queries.push(buildLotReceiptQuery(sql, item.id, {
+          lot_number: shipment.lot_number,
+          expiry_date: shipment.expiry_date,
+          received_date: receipt.received_date,
+          material_shipment_id: shipment.id,
+          quantity,
+          warehouse_id: warehouseId,
+          location
+        }));
+      }
+    }
+
+    const snapshot = await getRowSnapshot(sql, 'material_shipments', id);
+    queries.push(sql`
       UPDATE material_shipments SET
-        shipment_id = ${shipment_id},
-        bom_id = ${bom_id},        /* Changed from material_id */
-        category_id = ${category_id},
-        material_name = ${material_name},
-        quantity = ${quantity},
-        unit = ${unit},
-        shipment_type = ${shipment_type},
-        source = ${source},
-        destination = ${destination},
-        status = ${status},
-        date_shipped = ${date_shipped},
-        estimated_delivery = ${estimated_delivery},
-        received_date = ${received_date},
-        handled_by = ${handled_by},
-        notes = ${notes},
+        status = 'delivered',
+        received_date = COALESCE(${receipt.received_date || null}::date, CURRENT_DATE),
+        handled_by = ${user},
+        received_quantity = ${quantity},
+        discrepancy_quantity = ${quantity - expected},
+        version = CASE WHEN version = ${receipt.version ?? shipment.version}::integer THEN version + 1 END,
         updated_at = CURRENT_TIMESTAMP
       WHERE id = ${id}
       RETURNING *
+    `);
+    queries.push(buildChangeHistoryQuery(sql, 'material_shipments', id, snapshot, user));
+
+    let results;
+    try {
+      results = await sql.transaction(queries);
+    } catch (err) {
+      if (isVersionConflictError(err)) {
+        throw createVersionConflictError(`Shipment ${shipment.shipment_id}`, await getMaterialShipmentById(id));
+      }
+      throw err;
+    }
+
+    await notifyCapacityWarnings(warnings);
+    return {
+      shipment: results[results.length - 2][0],
+      item: quantity > 0 ? results[0][0] : item,
+      warnings
+    };
+  } catch (err) {
+    console.error('Error receiving material shipment:', err);
+    throw err;
+  }
+};
+
+// Get shipments by inventory item
+const getShipmentsByCategoryId = async (categoryId) => {
+  try {
+    const sql = await database.sql();
+    const result = await sql`
+      SELECT * FROM material_shipments
+      WHERE category_id = ${categoryId}
+      ORDER BY created_at DESC
     `;
     
-    return result[0];
+    return result;
   } catch (err) {
-    console.error('Error updating material shipment:', err);
+    console.error('Error fetching shipments by category ID:', err);
     throw err;
   }
 };
 
-// Delete material shipment
-const deleteMaterialShipment = async (id) => {
+// Material shipment statuses that no longer count as incoming stock
+const CLOSED_SHIPMENT_STATUSES = ['delivered', 'cancelled'];
+
+// Propose replenishment quantities for items whose on-hand plus open inbound
+// stock is at or below their reorder point. The suggested quantity is the
+// item's reorder quantity, or a top-up to max stock (or the reorder point)
+// when no reorder quantity is set.
+const getReplenishmentSuggestions = async (filters = {}) => {
   try {
     const sql = await database.sql();
-    const result = await sql`
-      DELETE FROM material_shipments
-      WHERE id = ${id}
-      RETURNING *
-    `;
-    
-    return result[0];
+    const conditions = ['i.deleted_at IS NULL', 'i.reorder_point IS NOT NULL'];
+    const params = [CLOSED_SHIPMENT_STATUSES];
+    let stockQuantity = 'i.total_quantity';
+    let warehouseColumn = 'i.warehouse_id';
+
+    if (filters.category) {
+      params.push(filters.category);
+      conditions.push(`i.category_id = $${params.length}`);
+    }
+
+    // A warehouse filter judges the items stocked there on that warehouse's quantity
+    if (filters.warehouse) {
+      params.push(filters.warehouse);
+      warehouseColumn = `$${params.length}`;
+      conditions.push(`EXISTS (SELECT 1 FROM stock_levels s WHERE s.item_id = i.id AND s.warehouse_id = ${warehouseColumn})`);
+      stockQuantity = `(SELECT COALESCE(SUM(s.quantity), 0)::integer FROM stock_levels s WHERE s.item_id = i.id AND s.warehouse_id = ${warehouseColumn})`;
+    }
+
+    const rows = await sql(`
+      SELECT 
+        i.id, i.item_code, i.product_name, i.unit_of_measure, i.category_id,
+        i.warehouse_id, i.buy_price, i.total_quantity, i.min_quantity,
+        i.reorder_point, i.reorder_quantity, i.max_quantity,
+        ${stockQuantity} AS stock_quantity,
+        c.category_name,
+        w.warehouse_name,
+        COALESCE(inbound.quantity, 0) AS inbound_quantity
+      FROM inventory_items i
+      LEFT JOIN categories c ON i.category_id = c.category_id
+      LEFT JOIN warehouses w ON w.warehouse_id = ${warehouseColumn}
+      LEFT JOIN (
+        SELECT item_code, SUM(COALESCE(base_quantity, quantity)) AS quantity
+        FROM material_shipments
+        WHERE shipment_type = 'inbound'
+          AND item_code IS NOT NULL
+          AND deleted_at IS NULL
+          AND COALESCE(status, 'pending') <> ALL($1)
+        GROUP BY item_code
+      ) inbound ON inbound.item_code = i.item_code
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY i.item_code
+    `, params);
+
+    return rows
+      .map(row => {
+        const inboundQuantity = parseInt(row.inbound_quantity);
+        const projectedQuantity = row.stock_quantity + inboundQuantity;
+        const target = row.max_quantity !== null ? row.max_quantity : row.reorder_point;
+        const suggestedQuantity = row.reorder_quantity !== null
+          ? row.reorder_quantity
+          : Math.max(target - projectedQuantity, 0);
+
+        return {
+          ...row,
+          inbound_quantity: inboundQuantity,
+          projected_quantity: projectedQuantity,
+          suggested_quantity: suggestedQuantity,
+          estimated_cost: suggestedQuantity * parseFloat(row.buy_price || 0)
+        };
+      })
+      .filter(row => row.projected_quantity <= row.reorder_point && row.suggested_quantity > 0);
   } catch (err) {
-    console.error('Error deleting material shipment:', err);
+    console.error('Error building replenishment suggestions:', err);
     throw err;
   }
 };
 
-// Get material shipment statistics
-const getMaterialShipmentStats = async () => {
+// Turn accepted replenishment lines into draft inbound material shipments.
+// Every line is validated before any shipment is created.
+const createReplenishmentShipments = async (lines, options = {}) => {
   try {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw createInventoryError('At least one replenishment line is required');
+    }
+
     const sql = await database.sql();
-    const totalShipments = await sql`SELECT COUNT(*) as count FROM material_shipments`;
-    const deliveredShipments = await sql`SELECT COUNT(*) as count FROM material_shipments WHERE status = 'delivered'`;
-    const pendingShipments = await sql`SELECT COUNT(*) as count FROM material_shipments WHERE status = 'pending'`;
-    const shippedShipments = await sql`SELECT COUNT(*) as count FROM material_shipments WHERE status = 'shipped'`;
-    const inboundShipments = await sql`SELECT COUNT(*) as count FROM material_shipments WHERE shipment_type = 'inbound'`;
-    const outboundShipments = await sql`SELECT COUNT(*) as count FROM material_shipments WHERE shipment_type = 'outbound'`;
-    
-    return {
-      totalShipments: parseInt(totalShipments[0].count),
-      deliveredShipments: parseInt(deliveredShipments[0].count),
-      pendingShipments: parseInt(pendingShipments[0].count),
-      shippedShipments: parseInt(shippedShipments[0].count),
-      inboundShipments: parseInt(inboundShipments[0].count),
-      outboundShipments: parseInt(outboundShipments[0].count)
-    };
+    const drafts = [];
+    for (const [index, line] of lines.entries()) {
+      const quantity = Number(line.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw createInventoryError(`Line ${index + 1}: quantity must be a positive whole number`);
+      }
+
+      const source = line.source || options.source;
+      if (!source) {
+        throw createInventoryError(`Line ${index + 1}: a supplier (source) is required`);
+      }
+
+      const item = await getInventoryItemById(line.item_id);
+      if (!item) {
+        throw createInventoryError(`Line ${index + 1}: item ${line.item_id} not found`, 404);
+      }
+      if (!item.category_id) {
+        throw createInventoryError(`Line ${index + 1}: item ${item.item_code} has no category`);
+      }
+
+      const destination = line.destination || options.destination || item.warehouse_id;
+      if (!destination) {
+        throw createInventoryError(`Line ${index + 1}: a destination warehouse is required`);
+      }
+
+      drafts.push({
+        item_code: item.item_code,
+        category_id: item.category_id,
+        material_name: item.product_name,
+        quantity,
+        unit: item.unit_of_measure,
+        unit_cost: item.buy_price,
+        shipment_type: 'inbound',
+        source,
+        destination,
+        status: 'draft',
+        date_shipped: null,
+        estimated_delivery: line.estimated_delivery || options.estimated_delivery || null,
+        received_date: null,
+        handled_by: options.user || null,
+        notes: line.notes || `Replenishment suggested for ${item.item_code}`
+      });
+    }
+
+    // All drafts are raised together or not at all
+    const numbers = await sql`
+      SELECT nextval('replenishment_shipment_seq') AS number
+      FROM generate_series(1, ${drafts.length})
+    `;
+    const queries = drafts.map((draft, index) => {
+      const shipment = { ...draft, shipment_id: `RPL-${String(numbers[index].number).padStart(6, '0')}` };
+      assertValidRecord(MATERIAL_SHIPMENT_SCHEMA, shipment);
+      return buildMaterialShipmentInsertQuery(sql, shipment, draft.quantity);
+    });
+    const results = await sql.transaction(queries);
+    return results.map(rows => rows[0]);
   } catch (err) {
-    console.error('Error fetching material shipment statistics:', err);
+    console.error('Error creating replenishment shipments:', err);
     throw err;
   }
 };
 
-// Update shipment status
-const updateShipmentStatus = async (id, status, receivedDate = null) => {
+// Supported inventory valuation methods
+const VALUATION_METHODS = ['fifo', 'average'];
+
+// Get the cost layers of received inbound material shipments, oldest first.
+// Quantities are in base units and costs per base unit; a shipment without its
+// own unit cost is costed at the item's buy price.
+const getCostLayers = async (asOf = null, itemId = null) => {
   try {
     const sql = await database.sql();
-    let query;
-    
-    if (receivedDate) {
-      query = sql`
-        UPDATE material_shipments 
-        SET status = ${status}, received_date = ${receivedDate}, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ${id}
-        RETURNING *
-      `;
-    } else {
-      query = sql`
-        UPDATE material_shipments 
-        SET status = ${status}, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ${id}
-        RETURNING *
-      `;
-    }
-    
-    const result = await query;
-    return result[0];
+    const result = await sql`
+      SELECT 
+        i.id AS item_id,
+        s.id AS material_shipment_id,
+        s.shipment_id,
+        s.received_date,
+        COALESCE(s.received_quantity, s.base_quantity, s.quantity) AS quantity,
+        COALESCE(
+          s.unit_cost * s.quantity / NULLIF(COALESCE(s.base_quantity, s.quantity), 0),
+          i.buy_price,
+          0
+        ) AS unit_cost,
+        i.total_quantity - COALESCE((
+          SELECT SUM(m.quantity_change) FROM stock_movements m
+          WHERE m.item_id = i.id AND m.created_at >= s.received_date + 1
+        ), 0) AS balance_end_of_day
+      FROM material_shipments s
+      JOIN inventory_items i ON i.item_code = s.item_code
+      WHERE s.shipment_type = 'inbound'
+        AND s.status = 'delivered'
+        AND s.received_date IS NOT NULL
+        AND COALESCE(s.received_quantity, s.base_quantity, s.quantity) > 0
+        AND (${asOf}::date IS NULL OR s.received_date <= ${asOf}::date)
+        AND (${itemId}::integer IS NULL OR i.id = ${itemId}::integer)
+      ORDER BY s.received_date, s.id
+    `;
+    return result.map(layer => ({
+      ...layer,
+      unit_cost: parseFloat(layer.unit_cost),
+      balance_end_of_day: parseInt(layer.balance_end_of_day)
+    }));
   } catch (err) {
-    console.error('Error updating shipment status:', err);
+    console.error('Error fetching cost layers:', err);
     throw err;
   }
 };
 
-// Get shipments by inventory item
-const getShipmentsByCategoryId = async (categoryId) => {
+// Unit cost of an item's on-hand quantity under FIFO: the newest layers are
+// the ones still on hand; anything not covered by a layer is at the buy price
+const getFifoUnitCost = (quantity, layers, fallbackCost) => {
+  if (quantity <= 0) {
+    return fallbackCost;
+  }
+
+  let remaining = quantity;
+  let value = 0;
+  for (let i = layers.length - 1; i >= 0 && remaining > 0; i--) {
+    const take = Math.min(layers[i].quantity, remaining);
+    value += take * layers[i].unit_cost;
+    remaining -= take;
+  }
+  value += remaining * fallbackCost;
+  return value / quantity;
+};
+
+// Unit cost of an item under the moving weighted average: each receipt is
+// averaged with the balance on hand before it, opening stock is at the buy price
+const getAverageUnitCost = (layers, fallbackCost) => {
+  let average = fallbackCost;
+  layers.forEach((layer, index) => {
+    // Receipts later the same day are already in the end-of-day balance
+    const sameDayAfter = layers
+      .slice(index)
+      .filter(other => String(other.received_date) === String(layer.received_date))
+      .reduce((sum, other) => sum + other.quantity, 0);
+    const before = Math.max(layer.balance_end_of_day - sameDayAfter, 0);
+    average = (before * average + layer.quantity * layer.unit_cost) / (before + layer.quantity);
+  });
+  return average;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Add a row's quantity and values into a keyed summary
+const addToValuationSummary = (summary, key, fields, row) => {
+  if (!summary.has(key)) {
+    summary.set(key, { ...fields, quantity: 0, cost_value: 0, selling_value: 0, potential_profit: 0 });
+  }
+  const entry = summary.get(key);
+  entry.quantity += row.quantity;
+  entry.cost_value += row.cost_value;
+  entry.selling_value += row.selling_value;
+  entry.potential_profit += row.potential_profit;
+};
+
+const roundValuationSummary = (entry) => ({
+  ...entry,
+  cost_value: roundMoney(entry.cost_value),
+  selling_value: roundMoney(entry.selling_value),
+  potential_profit: roundMoney(entry.potential_profit)
+});
+
+// Value on-hand stock as of a date (end of day, default now) with FIFO or moving
+// average costing. Quantities as of the date are the current stock levels minus
+// later ledger movements. The unit cost is per item and applies to every warehouse.
+const getInventoryValuation = async (options = {}) => {
   try {
     const sql = await database.sql();
-    const result = await sql`
-      SELECT * FROM material_shipments
-      WHERE category_id = ${categoryId}
-      ORDER BY created_at DESC
+    const method = options.method || 'fifo';
+    const asOf = options.as_of || null;
+
+    if (!VALUATION_METHODS.includes(method)) {
+      throw createInventoryError(`Invalid valuation method. Allowed: ${VALUATION_METHODS.join(', ')}`);
+    }
+
+    const rows = await sql`
+      SELECT 
+        i.id AS item_id, i.item_code, i.product_name, i.unit_of_measure, i.status,
+        i.category_id, c.category_name, i.buy_price, i.sell_price,
+        l.warehouse_id, w.warehouse_name,
+        l.quantity - COALESCE((
+          SELECT SUM(m.quantity_change) FROM stock_movements m
+          WHERE m.item_id = i.id AND m.warehouse_id = l.warehouse_id
+            AND ${asOf}::date IS NOT NULL AND m.created_at >= ${asOf}::date + 1
+        ), 0) AS quantity
+      FROM inventory_items i
+      JOIN (
+        SELECT item_id, warehouse_id, SUM(quantity) AS quantity
+        FROM stock_levels
+        GROUP BY item_id, warehouse_id
+      ) l ON l.item_id = i.id
+      LEFT JOIN categories c ON i.category_id = c.category_id
+      LEFT JOIN warehouses w ON l.warehouse_id = w.warehouse_id
+      WHERE i.deleted_at IS NULL
+        AND (${options.category || null}::varchar IS NULL OR i.category_id = ${options.category || null})
+      ORDER BY i.item_code, l.warehouse_id
     `;
-    
-    return result;
+
+    const layers = await getCostLayers(asOf);
+    const layersByItem = new Map();
+    for (const layer of layers) {
+      if (!layersByItem.has(layer.item_id)) {
+        layersByItem.set(layer.item_id, []);
+      }
+      layersByItem.get(layer.item_id).push(layer);
+    }
+
+    const items = new Map();
+    for (const row of rows) {
+      if (!items.has(row.item_id)) {
+        items.set(row.item_id, { ...row, quantity: 0, warehouses: [] });
+      }
+      const item = items.get(row.item_id);
+      item.quantity += parseInt(row.quantity);
+      item.warehouses.push({ warehouse_id: row.warehouse_id, warehouse_name: row.warehouse_name, quantity: parseInt(row.quantity) });
+    }
+
+    const result = [];
+    const categories = new Map();
+    const warehouses = new Map();
+    for (const item of items.values()) {
+      const fallbackCost = parseFloat(item.buy_price || 0);
+      const itemLayers = layersByItem.get(item.item_id) || [];
+      const unitCost = method === 'fifo'
+        ? getFifoUnitCost(item.quantity, itemLayers, fallbackCost)
+        : getAverageUnitCost(itemLayers, fallbackCost);
+      const sellPrice = parseFloat(item.sell_price || 0);
+
+      const valuedWarehouses = item.warehouses
+        .filter(level => level.quantity !== 0 && (!options.warehouse || level.warehouse_id === options.warehouse))
+        .map(level => ({
+          ...level,
+          cost_value: level.quantity * unitCost,
+          selling_value: level.quantity * sellPrice,
+          potential_profit: level.quantity * (sellPrice - unitCost)
+        }));
+      if (valuedWarehouses.length === 0) {
+        continue;
+      }
+
+      const quantity = valuedWarehouses.reduce((sum, level) => sum + level.quantity, 0);
+      const valued = {
+        item_id: item.item_id,
+        item_code: item.item_code,
+        product_name: item.product_name,
+        unit_of_measure: item.unit_of_measure,
+        category_id: item.category_id,
+        category_name: item.category_name,
+        status: item.status,
+        quantity,
+        unit_cost: Math.round(unitCost * 10000) / 10000,
+        sell_price: sellPrice,
+        cost_value: quantity * unitCost,
+        selling_value: quantity * sellPrice,
+        potential_profit: quantity * (sellPrice - unitCost),
+        cost_layers: itemLayers.length,
+        warehouses: valuedWarehouses.map(roundValuationSummary)
+      };
+      result.push(roundValuationSummary(valued));
+
+      addToValuationSummary(categories, item.category_id, { category_id: item.category_id, category_name: item.category_name }, valued);
+      for (const level of valuedWarehouses) {
+        addToValuationSummary(warehouses, level.warehouse_id, { warehouse_id: level.warehouse_id, warehouse_name: level.warehouse_name }, level);
+      }
+    }
+
+    const totals = { quantity: 0, cost_value: 0, selling_value: 0, potential_profit: 0 };
+    for (const entry of categories.values()) {
+      totals.quantity += entry.quantity;
+      totals.cost_value += entry.cost_value;
+      totals.selling_value += entry.selling_value;
+      totals.potential_profit += entry.potential_profit;
+    }
+
+    return {
+      method,
+      as_of: asOf,
+      items: result,
+      categories: [...categories.values()].map(roundValuationSummary),
+      warehouses: [...warehouses.values()].map(roundValuationSummary),
+      totals: roundValuationSummary(totals)
+    };
   } catch (err) {
-    console.error('Error fetching shipments by category ID:', err);
+    console.error('Error calculating inventory valuation:', err);
     throw err;
   }
 };
@@ -695,13 +4786,14 @@ const getShipmentsByCategoryId = async (categoryId) => {
 const getAllOrderShipments = async (filters = {}) => {
   try {
     const sql = await database.sql();
-    let base = sql`
-      SELECT * FROM order_shipments
-    `;
-
     const conditions = [];
     const params = [];
 
+    const archivedCondition = buildArchivedCondition('deleted_at', filters.archived);
+    if (archivedCondition) {
+      conditions.push(archivedCondition);
+    }
+
     if (filters.search) {
       conditions.push(`(order_id ILIKE $${params.length + 1} OR customer_name ILIKE $${params.length + 1} OR product_name ILIKE $${params.length + 1} OR item_code ILIKE $${params.length + 1})`);
       params.push(`%${filters.search}%`);
@@ -719,21 +4811,21 @@ const getAllOrderShipments = async (filters = {}) => {
       params.push(filters.date);
     }
 
-    if (conditions.length > 0) {
-      const whereClause = ` WHERE ${conditions.join(' AND ')}`;
-      base = sql`
-        SELECT * FROM order_shipments
-        ${sql.unsafe(whereClause)}
-        ORDER BY created_at DESC
-      `;
-    } else {
-      base = sql`
-        SELECT * FROM order_shipments
-        ORDER BY created_at DESC
-      `;
+    const whereClause = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    let query = `
+      SELECT * FROM order_shipments
+      ${whereClause}
+      ORDER BY created_at DESC, id DESC
+    `;
+
+    if (filters.limit) {
+      params.push(filters.limit);
+      query += ` LIMIT $${params.length}`;
+      params.push(filters.offset || 0);
+      query += ` OFFSET $${params.length}`;
     }
 
-    const result = await base;
+    const result = await sql(query, params);
     return result;
   } catch (err) {
     console.error('Error fetching order shipments:', err);
@@ -755,8 +4847,217 @@ const getOrderShipmentById = async (id) => {
   }
 };
 
-// Create new order shipment
-const createOrderShipment = async (orderData) => {
+const ORDER_STATUSES = ['processing', 'shipped', 'delivered', 'cancelled'];
+const ORDER_PRIORITIES = ['high', 'medium', 'low'];
+
+// Schema of an order shipment, checked on every create and update
+const ORDER_SHIPMENT_SCHEMA = {
+  order_id: { type: 'string', required: true },
+  customer_name: { type: 'string', required: true },
+  item_code: { type: 'string', required: true },
+  product_name: { type: 'string', required: true },
+  quantity: { type: 'integer', required: true, min: 1 },
+  unit: { type: 'string', nullable: true },
+  total_value: { type: 'number', required: true, min: 0 },
+  priority: { type: 'string', enum: ORDER_PRIORITIES, nullable: true },
+  status: { type: 'string', enum: ORDER_STATUSES, nullable: true },
+  order_date: { type: 'date', nullable: true },
+  ship_date: { type: 'date', nullable: true, notBefore: 'order_date' },
+  delivery_date: { type: 'date', nullable: true, notBefore: 'ship_date' },
+  tracking_number: { type: 'string', nullable: true },
+  notes: { type: 'string', nullable: true }
+};
+
+// Build the statements that bring an order's reservation in line with the order:
+// a processing order reserves its base quantity of the item, anything else
+// (shipped, delivered, cancelled, archived or an unknown item) holds none.
+// Run them in the same transaction as the order write. The item row is locked
+// first, so writes for the same item queue up and each one sees the
+// reservations committed before it. With options.checkAvailable a reservation
+// larger than the item's available-to-promise is written as NULL, which aborts
+// the transaction (see isAvailableToPromiseError).
+const buildReservationSyncQueries = (sql, orderId, options = {}) => {
+  return [
+    sql`
+      SELECT i.id FROM inventory_items i
+      JOIN order_shipments o ON i.item_code = o.item_code
+      WHERE o.id = ${orderId}
+      FOR UPDATE OF i
+    `,
+    sql`DELETE FROM stock_reservations WHERE order_shipment_id = ${orderId}`,
+    sql`
+      INSERT INTO stock_reservations (order_shipment_id, item_id, quantity)
+      SELECT
+        o.id,
+        i.id,
+        CASE
+          WHEN NOT ${Boolean(options.checkAvailable)}::boolean
+            OR COALESCE(o.base_quantity, o.quantity) <= i.total_quantity - COALESCE((
+              SELECT SUM(r.quantity) FROM stock_reservations r WHERE r.item_id = i.id
+            ), 0)
+          THEN COALESCE(o.base_quantity, o.quantity)
+        END
+      FROM order_shipments o
+      JOIN inventory_items i ON i.item_code = o.item_code
+      WHERE o.id = ${orderId}
+        AND o.status = 'processing'
+        AND o.deleted_at IS NULL
+        AND COALESCE(o.base_quantity, o.quantity) > 0
+    `
+  ];
+};
+
+// Whether a transaction was aborted because a checked reservation exceeded
+// the item's available-to-promise
+const isAvailableToPromiseError = (err) => {
+  return err && err.code === '23502' && err.table === 'stock_reservations' && err.column === 'quantity';
+};
+
+// Whether writing an order asks for more of an item than the order reserved
+// before, in which case available-to-promise has to be checked again
+const reservationGrows = (current, status, itemCode, baseQuantity) => {
+  if (status !== 'processing') {
+    return false;
+  }
+  return current.status !== 'processing' ||
+    current.item_code !== itemCode ||
+    (baseQuantity ?? 0) > (current.base_quantity ?? current.quantity);
+};
+
+// Available-to-promise for an order: the item's on-hand quantity less what other
+// orders have reserved. Unless backorders are allowed, an order for more than
+// that is refused; otherwise the shortfall is returned as backordered_quantity.
+// Orders for items that are not stocked are not checked.
+const checkAvailableToPromise = async (sql, itemCode, quantity, options = {}) => {
+  const items = await sql`
+    SELECT
+      i.item_code,
+      i.unit_of_measure,
+      i.total_quantity - COALESCE((
+        SELECT SUM(r.quantity) FROM stock_reservations r
+        WHERE r.item_id = i.id AND r.order_shipment_id IS DISTINCT FROM ${options.excludeOrderId || null}::integer
+      ), 0)::integer AS available_quantity
+    FROM inventory_items i
+    WHERE i.item_code = ${itemCode}
+  `;
+  if (items.length === 0 || quantity === null) {
+    return { available_quantity: null, backordered_quantity: 0 };
+  }
+
+  const item = items[0];
+  const available = Math.max(item.available_quantity, 0);
+  if (quantity > available && !options.allowBackorder) {
+    throw createInventoryError(
+      `Only ${available} ${item.unit_of_measure} of ${item.item_code} available to promise, ${quantity} ordered`,
+      409
+    );
+  }
+  return { available_quantity: available, backordered_quantity: Math.max(quantity - available, 0) };
+};
+
+// Order statuses in which the ordered stock has left the warehouse
+const SHIPPED_ORDER_STATUSES = ['shipped', 'delivered'];
+
+// Plan the stock an order takes when it ships: its unconsumed lot allocations
+// first, then the rest from the item's own warehouse and location. Refuses
+// unknown items and levels without enough stock.
+const planOrderStockDeduction = async (sql, order) => {
+  const items = await sql`SELECT * FROM inventory_items WHERE item_code = ${order.item_code}`;
+  const item = items[0];
+  if (!item) {
+    throw createInventoryError(`Order ${order.order_id} cannot ship: no inventory item with code ${order.item_code}`);
+  }
+
+  const quantity = order.base_quantity ?? order.quantity;
+  const allocations = await sql`
+    SELECT a.id AS allocation_id, a.lot_id, a.quantity, l.warehouse_id, l.location
+    FROM order_lot_allocations a
+    JOIN stock_lots l ON a.lot_id = l.id
+    WHERE a.order_shipment_id = ${order.id} AND a.consumed_at IS NULL
+    ORDER BY a.id
+  `;
+
+  const parts = allocations.map(allocation => ({ ...allocation }));
+  const remaining = quantity - parts.reduce((sum, part) => sum + part.quantity, 0);
+  if (remaining > 0) {
+    if (!item.warehouse_id) {
+      throw createInventoryError(`Order ${order.order_id} cannot ship: ${item.item_code} has no default warehouse`);
+    }
+    parts.push({ warehouse_id: item.warehouse_id, location: item.location || '', quantity: remaining });
+  }
+
+  // Check each level up front so the error names the shortage
+  const needed = {};
+  for (const part of parts) {
+    const key = JSON.stringify([part.warehouse_id, part.location]);
+    needed[key] = (needed[key] || 0) + part.quantity;
+  }
+  for (const [key, total] of Object.entries(needed)) {
+    const [warehouseId, location] = JSON.parse(key);
+    const level = await sql`
+      SELECT quantity FROM stock_levels
+      WHERE item_id = ${item.id} AND warehouse_id = ${warehouseId} AND location = ${location}
+    `;
+    const available = level[0] ? level[0].quantity : 0;
+    if (available < total) {
+      throw createInventoryError(
+        `Order ${order.order_id} cannot ship: ${available} ${item.unit_of_measure} of ${item.item_code} at ${warehouseId}${location ? ` / ${location}` : ''}, ${total} needed`,
+        409
+      );
+    }
+  }
+
+  return { item_id: item.id, parts };
+};
+
+// Build the statements that take an order's stock out when it ships, or put it
+// back when it leaves a shipped status. Returns the queries and the deduction to
+// store on the order (null once the stock is back).
+const buildOrderStockQueries = async (sql, order, status, user = null) => {
+  const deducted = order.stock_deduction !== null && order.stock_deduction !== undefined;
+  const shipping = SHIPPED_ORDER_STATUSES.includes(status);
+  if (deducted === shipping) {
+    return { queries: [], deduction: order.stock_deduction ?? null };
+  }
+
+  const deduction = deducted ? order.stock_deduction : await planOrderStockDeduction(sql, order);
+  const queries = [];
+  for (const part of deduction.parts) {
+    queries.push(buildStockChangeQuery(sql, deduction.item_id, part.quantity, shipping ? 'subtract' : 'add', {
+      reason: shipping ? 'order_shipped' : 'order_reversed',
+      reference_type: 'order_shipment',
+      reference_id: order.order_id,
+      user,
+      warehouse_id: part.warehouse_id,
+      location: part.location
+    }, { strict: true }));
+
+    if (part.lot_id) {
+      queries.push(sql`
+        UPDATE stock_lots SET
+          quantity = quantity + ${shipping ? -part.quantity : part.quantity},
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${part.lot_id}
+      `);
+      queries.push(sql`
+        UPDATE order_lot_allocations
+        SET consumed_at = CASE WHEN ${shipping} THEN CURRENT_TIMESTAMP END
+        WHERE id = ${part.allocation_id}
+      `);
+    }
+  }
+
+  return { queries, deduction: shipping ? deduction : null };
+};
+
+// Whether a shipment transaction failed for lack of stock at a level or in a lot
+const isShipmentStockError = (err) => {
+  return isInsufficientStockError(err) || (err && err.code === '23514' && err.constraint === 'stock_lots_quantity_check');
+};
+
+// Create new order shipment. An order created as shipped or delivered takes its
+// stock out in the same transaction.
+const createOrderShipment = async (orderData, options = {}) => {
   try {
     const sql = await database.sql();
     const {
@@ -765,6 +5066,7 @@ const createOrderShipment = async (orderData) => {
       item_code,
       product_name,
       quantity,
+      unit,
       total_value,
       priority,
       status,
@@ -775,26 +5077,62 @@ const createOrderShipment = async (orderData) => {
       notes
     } = orderData;
 
-    const result = await sql`
-      INSERT INTO order_shipments (
-        order_id, customer_name, item_code, product_name, quantity, total_value,
-        priority, status, order_date, ship_date, delivery_date, tracking_number, notes, updated_at
-      ) VALUES (
-        ${order_id}, ${customer_name}, ${item_code}, ${product_name}, ${quantity}, ${total_value},
-        ${priority || 'medium'}, ${status || 'processing'}, ${order_date}, ${ship_date}, ${delivery_date}, ${tracking_number}, ${notes}, CURRENT_TIMESTAMP
-      )
-      RETURNING *
-    `;
+    assertValidRecord(ORDER_SHIPMENT_SCHEMA, orderData);
+    const baseQuantity = await resolveBaseQuantity(sql, item_code, quantity, unit);
+    const processing = (status || 'processing') === 'processing';
+    const atp = processing
+      ? await checkAvailableToPromise(sql, item_code, baseQuantity, { allowBackorder: options.allowBackorder })
+      : { available_quantity: null, backordered_quantity: 0 };
 
-    return result[0];
+    // The id is taken up front so the order, its stock and its reservation go in one transaction
+    const [{ id }] = await sql`SELECT nextval(pg_get_serial_sequence('order_shipments', 'id'))::integer AS id`;
+    const stock = await buildOrderStockQueries(sql, {
+      id,
+      order_id,
+      item_code,
+      quantity,
+      base_quantity: baseQuantity,
+      stock_deduction: null
+    }, status || 'processing', options.user);
+    let result;
+    try {
+      [result] = await sql.transaction([
+        sql`
+          INSERT INTO order_shipments (
+            id, order_id, customer_name, item_code, product_name, quantity, unit, base_quantity, total_value,
+            priority, status, order_date, ship_date, delivery_date, tracking_number, notes, stock_deduction, updated_at
+          ) VALUES (
+            ${id}, ${order_id}, ${customer_name}, ${item_code}, ${product_name}, ${quantity}, ${unit || null}, ${baseQuantity}, ${total_value},
+            ${priority || 'medium'}, ${status || 'processing'}, ${order_date}, ${ship_date}, ${delivery_date}, ${tracking_number}, ${notes},
+            ${stock.deduction === null ? null : JSON.stringify(stock.deduction)}::jsonb, CURRENT_TIMESTAMP
+          )
+          RETURNING *
+        `,
+        ...stock.queries,
+        ...buildReservationSyncQueries(sql, id, { checkAvailable: processing && !options.allowBackorder })
+      ]);
+    } catch (err) {
+      // Another order took the stock between the check above and this one
+      if (isAvailableToPromiseError(err)) {
+        await checkAvailableToPromise(sql, item_code, baseQuantity);
+        throw createInventoryError(`Stock of ${item_code} changed, reload and try again`, 409);
+      }
+      if (isShipmentStockError(err)) {
+        throw createInventoryError(`Order ${order_id} cannot ship: stock of ${item_code} changed, reload and try again`, 409);
+      }
+      throw err;
+    }
+
+    return { ...result[0], ...atp };
   } catch (err) {
     console.error('Error creating order shipment:', err);
     throw err;
   }
 };
 
-// Update order shipment
-const updateOrderShipment = async (id, orderData) => {
+// Update order shipment. An order that now reserves more of an item than
+// before is checked against available-to-promise like a new one.
+const updateOrderShipment = async (id, orderData, user = null, options = {}) => {
   try {
     const sql = await database.sql();
     const {
@@ -803,6 +5141,7 @@ const updateOrderShipment = async (id, orderData) => {
       item_code,
       product_name,
       quantity,
+      unit,
       total_value,
       priority,
       status,
@@ -810,28 +5149,73 @@ const updateOrderShipment = async (id, orderData) => {
       ship_date,
       delivery_date,
       tracking_number,
-      notes
+      notes,
+      version
     } = orderData;
 
-    const result = await sql`
-      UPDATE order_shipments SET
-        order_id = ${order_id},
-        customer_name = ${customer_name},
-        item_code = ${item_code},
-        product_name = ${product_name},
-        quantity = ${quantity},
-        total_value = ${total_value},
-        priority = ${priority},
-        status = ${status},
-        order_date = ${order_date},
-        ship_date = ${ship_date},
-        delivery_date = ${delivery_date},
-        tracking_number = ${tracking_number},
-        notes = ${notes},
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = ${id}
-      RETURNING *
-    `;
+    assertValidRecord(ORDER_SHIPMENT_SCHEMA, orderData);
+    const baseQuantity = await resolveBaseQuantity(sql, item_code, quantity, unit);
+    const current = await getOrderShipmentById(id);
+    if (!current || current.deleted_at) {
+      return null;
+    }
+    const snapshot = await getRowSnapshot(sql, 'order_shipments', id);
+    // Stock shipped by this write is the order as written, not as it was
+    const stock = await buildOrderStockQueries(sql, {
+      ...current,
+      order_id,
+      item_code,
+      quantity,
+      base_quantity: baseQuantity
+    }, status, user);
+    const checkAvailable = reservationGrows(current, status, item_code, baseQuantity) && !options.allowBackorder;
+    if (checkAvailable) {
+      await checkAvailableToPromise(sql, item_code, baseQuantity, { excludeOrderId: id });
+    }
+
+    let result;
+    try {
+      [result] = await sql.transaction([
+        sql`
+          UPDATE order_shipments SET
+            order_id = ${order_id},
+            customer_name = ${customer_name},
+            item_code = ${item_code},
+            product_name = ${product_name},
+            quantity = ${quantity},
+            unit = ${unit || null},
+            base_quantity = ${baseQuantity},
+            total_value = ${total_value},
+            priority = ${priority},
+            status = ${status},
+            order_date = ${order_date},
+            ship_date = ${ship_date},
+            delivery_date = ${delivery_date},
+            tracking_number = ${tracking_number},
+            notes = ${notes},
+            stock_deduction = ${stock.deduction === null ? null : JSON.stringify(stock.deduction)}::jsonb,
+            version = CASE WHEN version = ${version ?? current.version}::integer THEN version + 1 END,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = ${id} AND deleted_at IS NULL
+          RETURNING *
+        `,
+        ...stock.queries,
+        buildChangeHistoryQuery(sql, 'order_shipments', id, snapshot, user),
+        ...buildReservationSyncQueries(sql, id, { checkAvailable })
+      ]);
+    } catch (err) {
+      if (isVersionConflictError(err)) {
+        throw createVersionConflictError(`Order ${order_id}`, await getOrderShipmentById(id));
+      }
+      if (isAvailableToPromiseError(err)) {
+        await checkAvailableToPromise(sql, item_code, baseQuantity, { excludeOrderId: id });
+        throw createInventoryError(`Stock of ${item_code} changed, reload and try again`, 409);
+      }
+      if (isShipmentStockError(err)) {
+        throw createInventoryError(`Order ${order_id} cannot ship: stock of ${item_code} changed, reload and try again`, 409);
+      }
+      throw err;
+    }
 
     return result[0];
   } catch (err) {
@@ -840,14 +5224,57 @@ const updateOrderShipment = async (id, orderData) => {
   }
 };
 
-// Delete order shipment
-const deleteOrderShipment = async (id) => {
+// Change only the supplied fields of an order shipment, checked against the
+// version read here (or the one the client saw)
+const patchOrderShipment = async (id, changes, user = null, options = {}) => {
+  try {
+    const { version, ...fields } = changes;
+    const errors = validateFields(ORDER_SHIPMENT_SCHEMA, fields, { partial: true });
+    if (errors.length > 0) {
+      throw createValidationError(errors);
+    }
+
+    const current = await getOrderShipmentById(id);
+    if (!current || current.deleted_at) {
+      return null;
+    }
+
+    return await updateOrderShipment(id, {
+      ...current,
+      ...fields,
+      version: version ?? current.version
+    }, user, options);
+  } catch (err) {
+    console.error('Error patching order shipment:', err);
+    throw err;
+  }
+};
+
+// Move an order shipment to the recycle bin. Its reserved serials are released
+// in the same transaction, so the release events carry the archive timestamp
+// and restoreRecord can find them again.
+const deleteOrderShipment = async (id, user = null) => {
   try {
     const sql = await database.sql();
-    const result = await sql`
-      DELETE FROM order_shipments WHERE id = ${id}
-      RETURNING *
+    const reserved = await sql`
+      SELECT id FROM item_serials
+      WHERE order_shipment_id = ${id} AND status = 'reserved'
     `;
+    const [result] = await sql.transaction([
+      sql`
+        UPDATE order_shipments SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ${user}
+        WHERE id = ${id} AND deleted_at IS NULL
+        RETURNING *
+      `,
+      ...buildReservationSyncQueries(sql, id),
+      buildSerialStatusQuery(sql, reserved.map(row => row.id), {
+        status: 'in_stock',
+        event_type: 'released',
+        reference_type: 'order_shipment',
+        reference_id: String(id),
+        user
+      })
+    ]);
     return result[0];
   } catch (err) {
     console.error('Error deleting order shipment:', err);
@@ -855,14 +5282,145 @@ const deleteOrderShipment = async (id) => {
   }
 };
 
+// Record types that can sit in the recycle bin, keyed by the public type name
+const RECYCLE_BIN_TYPES = {
+  inventory: { table: 'inventory_items', reference: 'item_code', label: 'product_name' },
+  material_shipments: { table: 'material_shipments', reference: 'shipment_id', label: 'material_name' },
+  order_shipments: { table: 'order_shipments', reference: 'order_id', label: 'customer_name' }
+};
+
+// List archived records, most recently deleted first, with the date each may be purged
+const getRecycleBin = async (filters = {}) => {
+  try {
+    const sql = await database.sql();
+    const types = filters.type ? [filters.type] : Object.keys(RECYCLE_BIN_TYPES);
+    const params = [filters.retentionDays];
+    const query = types.map(type => {
+      const { table, reference, label } = RECYCLE_BIN_TYPES[type];
+      return `
+        SELECT
+          '${type}' AS type, id, ${reference} AS reference, ${label} AS label,
+          deleted_at, deleted_by,
+          deleted_at + make_interval(days => $1::integer) AS purge_after
+        FROM ${table}
+        WHERE deleted_at IS NOT NULL
+      `;
+    }).join(' UNION ALL ');
+
+    const result = await sql(`${query} ORDER BY deleted_at DESC, id DESC`, params);
+    return result;
+  } catch (err) {
+    console.error('Error fetching recycle bin:', err);
+    throw err;
+  }
+};
+
+// Take an archived record out of the recycle bin
+const restoreRecord = async (type, id, user = null) => {
+  try {
+    const sql = await database.sql();
+    const { table } = RECYCLE_BIN_TYPES[type];
+    const result = await sql(`
+      UPDATE ${table} t SET deleted_at = NULL, deleted_by = NULL
+      FROM (SELECT id, deleted_at FROM ${table} WHERE id = $1) archived
+      WHERE t.id = archived.id AND archived.deleted_at IS NOT NULL
+      RETURNING t.*, archived.deleted_at::text AS archived_at
+    `, [id]);
+    if (!result[0]) {
+      return undefined;
+    }
+    const { archived_at: archivedAt, ...restored } = result[0];
+
+    // A restored processing order reserves its stock again and takes back the
+    // serials its deletion released, unless they have moved on since
+    if (type === 'order_shipments') {
+      const released = await sql`
+        SELECT s.id FROM item_serials s
+        JOIN LATERAL (
+          SELECT * FROM serial_events e WHERE e.serial_id = s.id ORDER BY e.id DESC LIMIT 1
+        ) last_event ON true
+        WHERE s.status = 'in_stock'
+          AND last_event.event_type = 'released'
+          AND last_event.reference_type = 'order_shipment'
+          AND last_event.reference_id = ${String(id)}
+          AND last_event.created_at = ${archivedAt}::timestamp
+      `;
+      await sql.transaction([
+        ...buildReservationSyncQueries(sql, id),
+        buildSerialStatusQuery(sql, released.map(row => row.id), {
+          status: 'reserved',
+          order_shipment_id: id,
+          event_type: 'reserved',
+          reference_type: 'order_shipment',
+          reference_id: String(id),
+          notes: 'Order restored',
+          user
+        })
+      ]);
+    }
+    return restored;
+  } catch (err) {
+    console.error('Error restoring record:', err);
+    throw err;
+  }
+};
+
+// Permanently delete an archived record once it has been in the recycle bin
+// for at least the retention period
+const purgeRecord = async (type, id, retentionDays) => {
+  try {
+    const sql = await database.sql();
+    const { table } = RECYCLE_BIN_TYPES[type];
+    const archived = await sql(`
+      SELECT id, deleted_at, deleted_at <= CURRENT_TIMESTAMP - make_interval(days => $2::integer) AS purgeable
+      FROM ${table}
+      WHERE id = $1 AND deleted_at IS NOT NULL
+    `, [id, retentionDays]);
+    if (archived.length === 0) {
+      return null;
+    }
+    if (!archived[0].purgeable) {
+      throw createInventoryError(`Records can only be purged after ${retentionDays} day(s) in the recycle bin`, 409);
+    }
+
+    const result = await sql(`DELETE FROM ${table} WHERE id = $1 RETURNING *`, [id]);
+    return result[0];
+  } catch (err) {
+    console.error('Error purging record:', err);
+    throw err;
+  }
+};
+
+// Permanently delete every archived record past the retention period; returns counts per type
+const purgeRecycleBin = async (retentionDays) => {
+  try {
+    const sql = await database.sql();
+    const types = Object.keys(RECYCLE_BIN_TYPES);
+    const results = await sql.transaction(types.map(type => sql(`
+      DELETE FROM ${RECYCLE_BIN_TYPES[type].table}
+      WHERE deleted_at <= CURRENT_TIMESTAMP - make_interval(days => $1::integer)
+      RETURNING id
+    `, [retentionDays])));
+
+    const purged = {};
+    types.forEach((type, index) => {
+      purged[type] = results[index].length;
+    });
+    return purged;
+  } catch (err) {
+    console.error('Error purging recycle bin:', err);
+    throw err;
+  }
+};
+
 // Get order shipment statistics
 const getOrderShipmentStats = async () => {
   try {
     const sql = await database.sql();
-    const total = await sql`SELECT COUNT(*) as count FROM order_shipments`;
-    const delivered = await sql`SELECT COUNT(*) as count FROM order_shipments WHERE status = 'delivered'`;
-    const shipped = await sql`SELECT COUNT(*) as count FROM order_shipments WHERE status = 'shipped'`;
-    const processing = await sql`SELECT COUNT(*) as count FROM order_shipments WHERE status = 'processing'`;
+    const total = await sql`SELECT COUNT(*) as count FROM order_shipments WHERE deleted_at IS NULL`;
+    const delivered = await sql`SELECT COUNT(*) as count FROM order_shipments WHERE status = 'delivered' AND deleted_at IS NULL`;
+    const shipped = await sql`SELECT COUNT(*) as count FROM order_shipments WHERE status = 'shipped' AND deleted_at IS NULL`;
+    const processing = await sql`SELECT COUNT(*) as count FROM order_shipments WHERE status = 'processing' AND deleted_at IS NULL`;
 
     return {
       totalOrders: parseInt(total[0].count),
@@ -882,16 +5440,49 @@ const updateOrderShipmentStatus = async (id, status, options = {}) => {
     const sql = await database.sql();
     const setShipDate = options.setShipDate ? options.setShipDate : null;
     const setDeliveryDate = options.setDeliveryDate ? options.setDeliveryDate : null;
+    const current = await getOrderShipmentById(id);
+    if (!current || current.deleted_at) {
+      return null;
+    }
+    const snapshot = await getRowSnapshot(sql, 'order_shipments', id);
 
-    const result = await sql`
-      UPDATE order_shipments
-      SET status = ${status},
-          ship_date = COALESCE(${setShipDate}, ship_date),
-          delivery_date = COALESCE(${setDeliveryDate}, delivery_date),
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = ${id}
-      RETURNING *
-    `;
+    // Shipping takes the stock out and reverting puts it back, in the same transaction
+    const stock = await buildOrderStockQueries(sql, current, status, options.user);
+    const baseQuantity = current.base_quantity ?? current.quantity;
+    const checkAvailable = reservationGrows(current, status, current.item_code, baseQuantity) && !options.allowBackorder;
+    if (checkAvailable) {
+      await checkAvailableToPromise(sql, current.item_code, baseQuantity, { excludeOrderId: id });
+    }
+
+    let result;
+    try {
+      [result] = await sql.transaction([sql`
+        UPDATE order_shipments
+        SET status = ${status},
+            ship_date = COALESCE(${setShipDate}, ship_date),
+            delivery_date = COALESCE(${setDeliveryDate}, delivery_date),
+            stock_deduction = ${stock.deduction === null ? null : JSON.stringify(stock.deduction)}::jsonb,
+            version = CASE WHEN version = ${current.version} THEN version + 1 END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${id} AND deleted_at IS NULL
+        RETURNING *
+      `,
+      ...stock.queries,
+      buildChangeHistoryQuery(sql, 'order_shipments', id, snapshot, options.user),
+      ...buildReservationSyncQueries(sql, id, { checkAvailable })]);
+    } catch (err) {
+      if (isVersionConflictError(err)) {
+        throw createVersionConflictError(`Order ${current.order_id}`, await getOrderShipmentById(id));
+      }
+      if (isAvailableToPromiseError(err)) {
+        await checkAvailableToPromise(sql, current.item_code, baseQuantity, { excludeOrderId: id });
+        throw createInventoryError(`Stock of ${current.item_code} changed, reload and try again`, 409);
+      }
+      if (isShipmentStockError(err)) {
+        throw createInventoryError(`Order ${current.order_id} cannot ship: stock of ${current.item_code} changed, reload and try again`, 409);
+      }
+      throw err;
+    }
 
     return result[0];
   } catch (err) {
@@ -905,29 +5496,118 @@ module.exports = {
   initializeInventoryTable,
   initializeMaterialShipmentsTable,
   initializeOrderShipmentsTable,
+  initializeStockMovementsTable,
+  initializeItemBarcodesTable,
+  initializeStockLevelsTable,
+  initializeTransferOrdersTable,
+  initializeStockLotsTable,
+  initializeItemSerialsTable,
+  initializeUnitsTable,
+  initializeCategoryHierarchy,
+  initializeWarehouseSettings,
+  initializeSoftDelete,
+  initializeChangeHistoryTable,
+  initializeRecordVersions,
+  initializeCycleCountTables,
+  initializeStockReservationsTable,
+  initializeOrderStockDeductions,
+  initializeShipmentReceipts,
   getAllInventoryItems,
+  countInventoryItems,
+  ARCHIVED_FILTERS,
+  INVENTORY_SORT_COLUMNS,
   getInventoryItemById,
   createInventoryItem,
   updateInventoryItem,
+  patchInventoryItem,
+  getChangeHistory,
   deleteInventoryItem,
+  IMPORT_MODES,
+  importInventoryItems,
   deleteMultipleInventoryItems,
+  BARCODE_TYPES,
+  findInventoryItemByCode,
+  getItemBarcodes,
+  createItemBarcode,
+  updateItemBarcode,
+  deleteItemBarcode,
   getAllCategories,
+  getCategoryById,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  getCategoryRollups,
   getAllWarehouses,
+  getWarehouseById,
+  createWarehouse,
+  updateWarehouse,
+  deactivateWarehouse,
+  CAPACITY_POLICIES,
+  VALUATION_METHODS,
+  getCostLayers,
+  getInventoryValuation,
+  getUnits,
+  createUnit,
+  getItemUnitConversions,
+  setItemUnitConversion,
+  deleteItemUnitConversion,
   getInventoryStats,
+  getLowStockItems,
   updateItemQuantity,
+  getStockLevels,
+  createStockAdjustment,
+  ADJUSTMENT_REASONS,
+  createInventoryError,
+  getStockMovements,
+  CYCLE_COUNT_STATUSES,
+  getAllCycleCounts,
+  getCycleCountById,
+  createCycleCount,
+  recordCycleCounts,
+  approveCycleCountLines,
+  postCycleCount,
+  cancelCycleCount,
+  TRANSFER_TRANSITIONS,
+  getAllTransferOrders,
+  getTransferOrderById,
+  createTransferOrder,
+  updateTransferOrderStatus,
+  getItemLots,
+  receiveStockLot,
+  getExpiringLots,
+  notifyExpiringLots,
+  allocateOrderLots,
+  getOrderLotAllocations,
+  SERIAL_STATUSES,
+  getItemSerials,
+  registerSerials,
+  assignSerialToOrder,
+  updateOrderSerials,
+  returnSerial,
+  getSerialHistory,
   getAllMaterialShipments,
   getMaterialShipmentById,
   createMaterialShipment,
   updateMaterialShipment,
+  patchMaterialShipment,
   deleteMaterialShipment,
   getMaterialShipmentStats,
   updateShipmentStatus,
+  receiveMaterialShipment,
   getShipmentsByCategoryId,
+  getReplenishmentSuggestions,
+  createReplenishmentShipments,
   getAllOrderShipments,
   getOrderShipmentById,
   createOrderShipment,
   updateOrderShipment,
+  patchOrderShipment,
   deleteOrderShipment,
   getOrderShipmentStats,
+  RECYCLE_BIN_TYPES,
+  getRecycleBin,
+  restoreRecord,
+  purgeRecord,
+  purgeRecycleBin,
   updateOrderShipmentStatus
 };
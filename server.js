@@ -18,37 +18,118 @@ const {
 const {
   initializeInventoryTable,
   getAllInventoryItems,
+  countInventoryItems,
+  ARCHIVED_FILTERS,
+  INVENTORY_SORT_COLUMNS,
   getInventoryItemById,
   createInventoryItem,
   updateInventoryItem,
+  patchInventoryItem,
+  getChangeHistory,
   deleteInventoryItem,
+  IMPORT_MODES,
+  importInventoryItems,
   deleteMultipleInventoryItems,
+  findInventoryItemByCode,
+  getItemBarcodes,
+  createItemBarcode,
+  updateItemBarcode,
+  deleteItemBarcode,
   getAllCategories,
+  getCategoryById,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  getCategoryRollups,
   getAllWarehouses,
+  getWarehouseById,
+  createWarehouse,
+  updateWarehouse,
+  deactivateWarehouse,
+  VALUATION_METHODS,
+  getInventoryValuation,
+  getUnits,
+  createUnit,
+  getItemUnitConversions,
+  setItemUnitConversion,
+  deleteItemUnitConversion,
   getInventoryStats,
+  getLowStockItems,
   updateItemQuantity,
+  getStockLevels,
+  createStockAdjustment,
+  ADJUSTMENT_REASONS,
+  getStockMovements,
+  CYCLE_COUNT_STATUSES,
+  getAllCycleCounts,
+  getCycleCountById,
+  createCycleCount,
+  recordCycleCounts,
+  approveCycleCountLines,
+  postCycleCount,
+  cancelCycleCount,
+  TRANSFER_TRANSITIONS,
+  getAllTransferOrders,
+  getTransferOrderById,
+  createTransferOrder,
+  updateTransferOrderStatus,
+  getItemLots,
+  receiveStockLot,
+  getExpiringLots,
+  notifyExpiringLots,
+  allocateOrderLots,
+  getOrderLotAllocations,
+  getItemSerials,
+  registerSerials,
+  assignSerialToOrder,
+  updateOrderSerials,
+  returnSerial,
+  getSerialHistory,
   getAllMaterialShipments,
   getMaterialShipmentById,
   createMaterialShipment,
   updateMaterialShipment,
+  patchMaterialShipment,
   deleteMaterialShipment,
   getMaterialShipmentStats,
   updateShipmentStatus,
+  receiveMaterialShipment,
   getShipmentsByCategoryId,
+  getReplenishmentSuggestions,
+  createReplenishmentShipments,
   // New order shipments
   getAllOrderShipments,
   getOrderShipmentById,
   createOrderShipment,
   updateOrderShipment,
+  patchOrderShipment,
   deleteOrderShipment,
   getOrderShipmentStats,
+  RECYCLE_BIN_TYPES,
+  getRecycleBin,
+  restoreRecord,
+  purgeRecord,
+  purgeRecycleBin,
   updateOrderShipmentStatus
 } = require('./inventory');
+const { EXPORT_FORMATS, streamExport } = require('./exporter');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Stock adjustments worth at least this much (at buy price) raise a warning notification
+const ADJUSTMENT_ALERT_THRESHOLD = parseFloat(process.env.ADJUSTMENT_ALERT_THRESHOLD) || 1000;
+
+// Days a deleted record stays in the recycle bin before an admin may purge it
+const RECYCLE_BIN_RETENTION_DAYS = parseInt(process.env.RECYCLE_BIN_RETENTION_DAYS) || 30;
+
+// Whether orders may be accepted for more than the available-to-promise quantity
+const ALLOW_BACKORDERS = process.env.ALLOW_BACKORDERS === 'true';
+
+// Cycle count variances worth more than this (at buy price) need an admin's approval
+const CYCLE_COUNT_APPROVAL_THRESHOLD = parseFloat(process.env.CYCLE_COUNT_APPROVAL_THRESHOLD) || 500;
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -74,6 +155,31 @@ const requireAuth = (req, res, next) => {
   }
 };
 
+// Admin-only middleware, used after requireAuth
+const requireAdmin = (req, res, next) => {
+  if (req.session.user.role === 'admin') {
+    return next();
+  }
+  return res.status(403).json({ success: false, message: 'Admin access required' });
+};
+
+// Entity tag of a versioned record (inventory items, shipments and orders)
+const formatETag = (record) => `"${record.version}"`;
+
+// Version the client last saw, from an If-Match header or a version field in
+// the body. Null when neither is given, NaN when the value is not a version.
+const getExpectedVersion = (req) => {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch && ifMatch.trim() !== '*') {
+    const tag = ifMatch.trim().replace(/^W\//, '');
+    return /^"\d+"$/.test(tag) ? parseInt(tag.slice(1, -1)) : NaN;
+  }
+  if (req.body.version !== undefined && req.body.version !== null) {
+    return Number.isInteger(Number(req.body.version)) ? Number(req.body.version) : NaN;
+  }
+  return null;
+};
+
 // Routes
 
 // Root route - redirect to login if not authenticated, otherwise to inventory
@@ -330,274 +436,1207 @@ app.get('/api/db-status', async (req, res) => {
   }
 });
 
-// API: Get all inventory items
+// API: Get inventory items with filters, sorting and optional pagination
 app.get('/api/inventory', requireAuth, async (req, res) => {
   try {
-    const items = await getAllInventoryItems();
-    res.json({ success: true, data: items });
+    const { search, category, status, warehouse, sort, order, archived } = req.query;
+
+    if (sort && !INVENTORY_SORT_COLUMNS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort field. Allowed: ${Object.keys(INVENTORY_SORT_COLUMNS).join(', ')}`
+      });
+    }
+
+    if (order && !['asc', 'desc'].includes(String(order).toLowerCase())) {
+      return res.status(400).json({ success: false, message: 'Invalid sort order. Allowed: asc, desc' });
+    }
+
+    if (archived && !ARCHIVED_FILTERS.includes(archived)) {
+      return res.status(400).json({ success: false, message: `Invalid archived filter. Allowed: ${ARCHIVED_FILTERS.join(', ')}` });
+    }
+
+    const filters = { search, category, status, warehouse, sort, order, archived };
+
+    // Pagination is opt-in so existing callers still receive the full list
+    const paginate = req.query.page !== undefined || req.query.limit !== undefined;
+    let page = 1;
+    let limit = null;
+
+    if (paginate) {
+      page = parseInt(req.query.page || 1);
+      limit = parseInt(req.query.limit || 50);
+
+      if (isNaN(page) || page < 1 || isNaN(limit) || limit < 1 || limit > 500) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid pagination parameters (page >= 1, 1 <= limit <= 500)'
+        });
+      }
+
+      filters.limit = limit;
+      filters.offset = (page - 1) * limit;
+    }
+
+    const [items, total] = await Promise.all([
+      getAllInventoryItems(filters),
+      countInventoryItems(filters)
+    ]);
+
+    const response = { success: true, data: items, count: items.length, total };
+    if (paginate) {
+      response.pagination = {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      };
+    }
+
+    res.json(response);
   } catch (err) {
+    console.error('Error fetching inventory items:', err);
     res.status(500).json({ success: false, message: 'Failed to fetch inventory items' });
   }
 });
 
-app.get('/api/inventory/:id', requireAuth, async (req, res) => {
+// API: Resolve a scanned code to an inventory item (item code or registered barcode)
+app.get('/api/inventory/search', requireAuth, async (req, res) => {
   try {
-    const item = await getInventoryItemById(req.params.id);
+    const code = (req.query.code || '').trim();
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'Scan code is required' });
+    }
+
+    const item = await findInventoryItemByCode(code);
     if (item) {
       res.json({ success: true, data: item });
     } else {
-      res.status(404).json({ success: false, message: 'Item not found' });
+      res.status(404).json({ success: false, message: `No item found for code ${code}` });
     }
   } catch (err) {
-    res.status(500).json({ success: false, message: 'Failed to fetch item' });
+    console.error('Error looking up item by code:', err);
+    res.status(500).json({ success: false, message: 'Failed to look up item' });
   }
 });
 
-// API: Insert new inventory item
-app.post('/api/inventory', requireAuth, async (req, res) => {
+// API: Get items at or below their reorder point
+app.get('/api/inventory/low-stock', requireAuth, async (req, res) => {
   try {
-    const newItem = await createInventoryItem(req.body);
-    
-    // Create notification for successful item addition
-    try {
-      await createNotification(
-        'Item Added Successfully',
-        `${newItem.name} has been added to inventory with SKU: ${newItem.sku}`,
-        'success'
-      );
-    } catch (notifError) {
-      console.error('Failed to create notification:', notifError);
-    }
-    
-    res.json({ success: true, message: 'Item inserted successfully', data: newItem });
+    const { category, warehouse } = req.query;
+    const items = await getLowStockItems({ category, warehouse });
+    res.json({ success: true, data: items, count: items.length });
   } catch (err) {
-    res.status(500).json({ success: false, message: 'Failed to insert item' });
+    console.error('Error fetching low stock items:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch low stock items' });
   }
 });
 
-// API: Delete multiple inventory items
-app.post('/api/inventory/delete-multiple', requireAuth, async (req, res) => {
+// Stream an export download, answering with JSON only while nothing has been sent yet
+const sendExport = async (req, res, resource, filters, maxRows = null) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ success: false, message: `Invalid export format. Allowed: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
   try {
-    const { ids } = req.body;
-    await deleteMultipleInventoryItems(ids);
-    
-    // Create notification for successful item deletion
-    try {
-      await createNotification(
-        'Items Deleted Successfully',
-        `${ids.length} item(s) have been deleted from inventory`,
-        'warning'
-      );
-    } catch (notifError) {
-      console.error('Failed to create notification:', notifError);
-    }
-    
-    res.json({ success: true, message: 'Items deleted successfully' });
+    await streamExport(res, resource, format, filters, maxRows);
   } catch (err) {
-    res.status(500).json({ success: false, message: 'Failed to delete items' });
+    console.error(`Error exporting ${resource}:`, err);
+    if (res.headersSent) {
+      res.destroy(err);
+    } else {
+      res.status(500).json({ success: false, message: 'Failed to export data' });
+    }
+  }
+};
+
+// API: Export inventory items as CSV or XLSX, with the same filters as the list
+app.get('/api/inventory/export', requireAuth, async (req, res) => {
+  const { search, category, status, warehouse, sort, order, archived } = req.query;
+
+  if (sort && !INVENTORY_SORT_COLUMNS[sort]) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid sort field. Allowed: ${Object.keys(INVENTORY_SORT_COLUMNS).join(', ')}`
+    });
   }
+
+  await sendExport(req, res, 'inventory', { search, category, status, warehouse, sort, order, archived });
 });
 
-// API: Update inventory item
-app.put('/api/inventory/:id', requireAuth, async (req, res) => {
+// API: Inventory valuation (FIFO or moving average) as of a date
+app.get('/api/inventory/valuation', requireAuth, async (req, res) => {
   try {
-    const updatedItem = await updateInventoryItem(req.params.id, req.body);
-    
-    // Create notification for successful item update
-    try {
-      await createNotification(
-        'Item Updated Successfully',
-        `${updatedItem.name} (SKU: ${updatedItem.sku}) has been updated in inventory`,
-        'info'
-      );
-    } catch (notifError) {
-      console.error('Failed to create notification:', notifError);
+    const { method = 'fifo', as_of, category, warehouse } = req.query;
+
+    if (!VALUATION_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid valuation method. Allowed: ${VALUATION_METHODS.join(', ')}`
+      });
     }
-    
-    res.json({ success: true, message: 'Item updated successfully', data: updatedItem });
+    if (as_of && (!/^\d{4}-\d{2}-\d{2}$/.test(as_of) || isNaN(Date.parse(as_of)))) {
+      return res.status(400).json({ success: false, message: 'as_of must be a date (YYYY-MM-DD)' });
+    }
+
+    const valuation = await getInventoryValuation({ method, as_of, category, warehouse });
+    res.json({ success: true, data: valuation });
   } catch (err) {
-    res.status(500).json({ success: false, message: 'Failed to update item' });
+    console.error('Error calculating inventory valuation:', err);
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.statusCode ? err.message : 'Failed to calculate inventory valuation'
+    });
   }
 });
 
-// API: Get all categories
-app.get('/api/categories', requireAuth, async (req, res) => {
+app.get('/api/inventory/:id', requireAuth, async (req, res) => {
   try {
-    const categories = await getAllCategories();
-    res.json({ 
-      success: true, 
-      data: categories || [] 
-    });
-  } catch (error) {
-    console.error('Error fetching categories:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to fetch categories',
-      error: error.message
-    });
+    const item = await getInventoryItemById(req.params.id);
+    if (item) {
+      res.set('ETag', formatETag(item));
+      res.json({ success: true, data: item });
+    } else {
+      res.status(404).json({ success: false, message: 'Item not found' });
+    }
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to fetch item' });
   }
 });
 
-
-// API: Get all warehouses
-app.get('/api/warehouses', requireAuth, async (req, res) => {
+// Answer with the field-level change history of a record
+const sendChangeHistory = async (res, resourceType, id) => {
   try {
-    const warehouses = await getAllWarehouses();
-    res.json({ success: true, data: warehouses });
+    const history = await getChangeHistory(resourceType, id);
+    res.json({ success: true, data: history, count: history.length });
   } catch (err) {
-    res.status(500).json({ success: false, message: 'Failed to fetch warehouses' });
+    console.error(`Error fetching ${resourceType} change history:`, err);
+    res.status(500).json({ success: false, message: 'Failed to fetch change history' });
   }
+};
+
+// API: Get field-level change history for an inventory item
+app.get('/api/inventory/:id/history', requireAuth, async (req, res) => {
+  await sendChangeHistory(res, 'inventory', req.params.id);
 });
 
-// API: Get scan history
-app.get('/api/scan-history', requireAuth, async (req, res) => {
+// API: Get stock movement history for an inventory item
+app.get('/api/inventory/:id/movements', requireAuth, async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 100;
-    
-    // Validate limit
-    if (isNaN(limit) || limit < 1) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid limit parameter'
-      });
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (limit < 1 || limit > 1000 || offset < 0) {
+      return res.status(400).json({ success: false, message: 'Invalid limit or offset parameter' });
     }
 
-    const history = await getScanHistory(limit);
-    
-    res.json({ 
-      success: true, 
-      data: history,
-      count: history.length,
-      limit: limit
+    const item = await getInventoryItemById(req.params.id);
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
+    }
+
+    const movements = await getStockMovements(item.id, { limit, offset });
+    res.json({
+      success: true,
+      data: movements,
+      count: movements.length,
+      item: { id: item.id, item_code: item.item_code, total_quantity: item.total_quantity }
     });
   } catch (err) {
-    console.error('Fetch scan history error:', err);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to fetch scan history',
-      error: err.message 
-    });
+    console.error('Error fetching stock movements:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch stock movements' });
   }
 });
 
-// API: Save scan to history
-app.post('/api/scan-history', requireAuth, async (req, res) => {
+// API: Get stock levels for an inventory item by warehouse and location
+app.get('/api/inventory/:id/stock-levels', requireAuth, async (req, res) => {
   try {
-    // Validate required fields
-    const { code, type } = req.body;
-    if (!code) {
-      return res.status(400).json({
-        success: false,
-        message: 'Scan code is required'
-      });
+    const item = await getInventoryItemById(req.params.id);
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
     }
 
-    // Add user info to scan data
-    const scanData = {
-      ...req.body,
-      scannedBy: req.session.user.username,
-      notes: req.body.notes || `Scanned by ${req.session.user.username}`
-    };
+    const levels = await getStockLevels(item.id);
+    res.json({ success: true, data: levels, count: levels.length, total_quantity: item.total_quantity });
+  } catch (err) {
+    console.error('Error fetching stock levels:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch stock levels' });
+  }
+});
 
-    const savedScan = await saveScanHistory(scanData);
-    
-    if (savedScan) {
-      // Create notification for successful scan
-      await createNotification(
-        'New Scan Recorded',
-        `New ${scanData.type || 'barcode'} scan: ${scanData.code}`,
-        'info'
-      );
-      
-      res.json({ 
-        success: true, 
-        message: 'Scan saved successfully', 
-        data: savedScan 
-      });
-    } else {
-      throw new Error('Failed to save scan to database');
+// API: Lots of an inventory item
+app.get('/api/inventory/:id/lots', requireAuth, async (req, res) => {
+  try {
+    const item = await getInventoryItemById(req.params.id);
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
     }
+
+    const lots = await getItemLots(item.id, { includeEmpty: req.query.includeEmpty === 'true' });
+    res.json({ success: true, data: lots, count: lots.length });
   } catch (err) {
-    console.error('Save scan error:', err);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to save scan',
-      error: err.message 
-    });
+    console.error('Error fetching item lots:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch item lots' });
   }
 });
 
-// API: Clear scan history
-app.delete('/api/scan-history', requireAuth, async (req, res) => {
+app.post('/api/inventory/:id/lots', requireAuth, async (req, res) => {
   try {
-    const success = await clearScanHistory();
-    
-    if (success) {
-      // Create notification for successful clear
-      await createNotification(
-        'Scan History Cleared',
-        'All scan history records have been cleared',
-        'warning'
-      );
-      
-      res.json({ 
-        success: true, 
-        message: 'Scan history cleared successfully' 
-      });
-    } else {
-      res.status(500).json({ 
-        success: false, 
-        message: 'Failed to clear scan history' 
-      });
+    const { lot_number, quantity, unit, expiry_date, received_date, warehouse_id, location, material_shipment_id, note } = req.body;
+    const receipt = await receiveStockLot(req.params.id, {
+      lot_number,
+      quantity,
+      unit,
+      expiry_date,
+      received_date,
+      warehouse_id,
+      location,
+      material_shipment_id
+    }, {
+      reference_type: material_shipment_id ? 'shipment' : 'lot',
+      reference_id: material_shipment_id ? String(material_shipment_id) : lot_number,
+      notes: note,
+      user: req.session.user.username
+    });
+
+    if (!receipt) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
     }
+
+    res.json({ success: true, message: 'Lot received successfully', data: receipt });
   } catch (err) {
-    console.error('Clear scan history error:', err);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to clear scan history',
-      error: err.message 
+    console.error('Error receiving lot:', err);
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.statusCode ? err.message : 'Failed to receive lot'
     });
   }
 });
 
-// API: Delete individual scan history record
-app.delete('/api/scan-history/:id', requireAuth, async (req, res) => {
+// API: Serial numbers of an inventory item
+app.get('/api/inventory/:id/serials', requireAuth, async (req, res) => {
   try {
-    const scanId = parseInt(req.params.id);
-    
-    if (isNaN(scanId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid scan ID format'
-      });
+    const item = await getInventoryItemById(req.params.id);
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
     }
 
-    const deleted = await deleteScanHistory(scanId);
-    
-    if (deleted) {
-      // Create notification for successful deletion
-      await createNotification(
-        'Scan Deleted',
-        `Scan record ${scanId} has been deleted`,
-        'info'
-      );
-      
-      res.json({
+    const serials = await getItemSerials(item.id, { status: req.query.status });
+    res.json({ success: true, data: serials, count: serials.length });
+  } catch (err) {
+    console.error('Error fetching item serials:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch item serials' });
+  }
+});
+
+app.post('/api/inventory/:id/serials', requireAuth, async (req, res) => {
+  try {
+    const { serial_numbers, warehouse_id, location, material_shipment_id } = req.body;
+    const serials = await registerSerials(req.params.id, {
+      serial_numbers,
+      warehouse_id,
+      location,
+      material_shipment_id
+    }, req.session.user.username);
+
+    if (!serials) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
+    }
+
+    res.json({ success: true, message: `${serials.length} serial(s) registered`, data: serials });
+  } catch (err) {
+    console.error('Error registering serials:', err);
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.statusCode ? err.message : 'Failed to register serials'
+    });
+  }
+});
+
+// API: Serial lookup with history across shipments, orders and scans
+app.get('/api/serials/:serial', requireAuth, async (req, res) => {
+  try {
+    const history = await getSerialHistory(req.params.serial);
+    if (!history) {
+      return res.status(404).json({ success: false, message: 'Serial number not found' });
+    }
+    res.json({ success: true, data: history });
+  } catch (err) {
+    console.error('Error fetching serial history:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch serial history' });
+  }
+});
+
+// API: Assign a scanned serial to an order shipment
+app.post('/api/serials/:serial/ship', requireAuth, async (req, res) => {
+  try {
+    const { order_id } = req.body;
+    if (!order_id) {
+      return res.status(400).json({ success: false, message: 'order_id is required' });
+    }
+
+    const serial = await assignSerialToOrder(req.params.serial, order_id, req.session.user.username);
+    res.json({ success: true, message: `Serial ${serial.serial_number} ${serial.status} for order ${order_id}`, data: serial });
+  } catch (err) {
+    console.error('Error assigning serial:', err);
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.statusCode ? err.message : 'Failed to assign serial'
+    });
+  }
+});
+
+app.post('/api/serials/:serial/return', requireAuth, async (req, res) => {
+  try {
+    const serial = await returnSerial(req.params.serial, req.session.user.username, req.body.note);
+    if (!serial) {
+      return res.status(404).json({ success: false, message: 'Serial number not found' });
+    }
+    res.json({ success: true, message: 'Serial returned', data: serial });
+  } catch (err) {
+    console.error('Error returning serial:', err);
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.statusCode ? err.message : 'Failed to return serial'
+    });
+  }
+});
+
+// API: Lots expiring within N days; newly expiring lots are reported as notifications
+app.get('/api/lots/expiring', requireAuth, async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 30 : parseInt(req.query.days);
+    if (isNaN(days) || days < 0) {
+      return res.status(400).json({ success: false, message: 'Invalid days parameter' });
+    }
+
+    const lots = await getExpiringLots(days, { warehouse: req.query.warehouse });
+    const notified = await notifyExpiringLots(lots);
+    res.json({ success: true, data: lots, count: lots.length, days, notified });
+  } catch (err) {
+    console.error('Error fetching expiring lots:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch expiring lots' });
+  }
+});
+
+// API: Item barcode aliases
+app.get('/api/inventory/:id/barcodes', requireAuth, async (req, res) => {
+  try {
+    const item = await getInventoryItemById(req.params.id);
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
+    }
+
+    const barcodes = await getItemBarcodes(item.id);
+    res.json({ success: true, data: barcodes, count: barcodes.length });
+  } catch (err) {
+    console.error('Error fetching item barcodes:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch item barcodes' });
+  }
+});
+
+app.post('/api/inventory/:id/barcodes', requireAuth, async (req, res) => {
+  try {
+    const barcode = (req.body.barcode || '').trim();
+    if (!barcode) {
+      return res.status(400).json({ success: false, message: 'Barcode is required' });
+    }
+
+    const item = await getInventoryItemById(req.params.id);
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
+    }
+
+    const newBarcode = await createItemBarcode(item.id, {
+      ...req.body,
+      barcode,
+      created_by: req.session.user.username
+    });
+    res.json({ success: true, message: 'Barcode added successfully', data: newBarcode });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.statusCode ? err.message : 'Failed to add barcode'
+    });
+  }
+});
+
+app.put('/api/inventory/:id/barcodes/:barcodeId', requireAuth, async (req, res) => {
+  try {
+    const barcode = (req.body.barcode || '').trim();
+    if (!barcode) {
+      return res.status(400).json({ success: false, message: 'Barcode is required' });
+    }
+
+    const updatedBarcode = await updateItemBarcode(req.params.id, req.params.barcodeId, { ...req.body, barcode });
+    if (updatedBarcode) {
+      res.json({ success: true, message: 'Barcode updated successfully', data: updatedBarcode });
+    } else {
+      res.status(404).json({ success: false, message: 'Barcode not found' });
+    }
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.statusCode ? err.message : 'Failed to update barcode'
+    });
+  }
+});
+
+app.delete('/api/inventory/:id/barcodes/:barcodeId', requireAuth, async (req, res) => {
+  try {
+    const deleted = await deleteItemBarcode(req.params.id, req.params.barcodeId);
+    if (deleted) {
+      res.json({ success: true, message: 'Barcode deleted successfully' });
+    } else {
+      res.status(404).json({ success: false, message: 'Barcode not found' });
+    }
+  } catch (err) {
+    console.error('Error deleting item barcode:', err);
+    res.status(500).json({ success: false, message: 'Failed to delete barcode' });
+  }
+});
+
+// API: Adjust stock for an inventory item with a reason code
+app.post('/api/inventory/:id/adjustments', requireAuth, async (req, res) => {
+  try {
+    const { operation = 'add', quantity, unit, reason, note, warehouse_id, location } = req.body;
+
+    if (!['add', 'subtract', 'set'].includes(operation)) {
+      return res.status(400).json({ success: false, message: 'Invalid operation. Allowed: add, subtract, set' });
+    }
+
+    // Quantities in another unit may be fractional as long as they convert to whole base units
+    const parsedQuantity = Number(quantity);
+    if (quantity === undefined || quantity === '' || !Number.isFinite(parsedQuantity) || parsedQuantity < 0 ||
+        (!unit && !Number.isInteger(parsedQuantity))) {
+      return res.status(400).json({ success: false, message: 'Quantity must be a non-negative whole number' });
+    }
+
+    if (!ADJUSTMENT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid reason code. Allowed: ${ADJUSTMENT_REASONS.join(', ')}`
+      });
+    }
+
+    const adjustment = await createStockAdjustment(req.params.id, {
+      operation,
+      quantity: parsedQuantity,
+      unit,
+      reason,
+      notes: note,
+      user: req.session.user.username,
+      warehouse_id,
+      location
+    });
+
+    if (!adjustment) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
+    }
+
+    if (adjustment.value >= ADJUSTMENT_ALERT_THRESHOLD) {
+      try {
+        await createNotification(
+          'Large Stock Adjustment',
+          `${adjustment.item.product_name} (${adjustment.item.item_code}) adjusted by ${adjustment.quantity_change} for ${reason}, valued at ${adjustment.value.toFixed(2)} by ${req.session.user.username}`,
+          'warning'
+        );
+      } catch (notifError) {
+        console.error('Failed to create notification:', notifError);
+      }
+    }
+
+    res.json({ success: true, message: 'Stock adjusted successfully', data: adjustment });
+  } catch (err) {
+    console.error('Error adjusting stock:', err);
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.statusCode ? err.message : 'Failed to adjust stock'
+    });
+  }
+});
+
+// API: Insert new inventory item
+app.post('/api/inventory', requireAuth, async (req, res) => {
+  try {
+    const newItem = await createInventoryItem(req.body, { user: req.session.user.username });
+    
+    // Create notification for successful item addition
+    try {
+      await createNotification(
+        'Item Added Successfully',
+        `${newItem.name} has been added to inventory with SKU: ${newItem.sku}`,
+        'success'
+      );
+    } catch (notifError) {
+      console.error('Failed to create notification:', notifError);
+    }
+    
+    res.json({ success: true, message: 'Item inserted successfully', data: newItem });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.statusCode ? err.message : 'Failed to insert item',
+      errors: err.errors
+    });
+  }
+});
+
+// API: Import inventory items from CSV, sent as text/csv or as { csv } JSON.
+// Runs as a dry run unless dry_run=false is given.
+app.post('/api/inventory/import', requireAuth, express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), async (req, res) => {
+  try {
+    const csvText = typeof req.body === 'string' ? req.body : req.body.csv;
+    const mode = req.query.mode || req.body.mode || 'insert';
+    const dryRunValue = req.query.dry_run ?? req.body.dry_run;
+    const dryRun = !(dryRunValue === false || dryRunValue === 'false');
+
+    if (!csvText) {
+      return res.status(400).json({ success: false, message: 'CSV content is required' });
+    }
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ success: false, message: `Invalid import mode. Allowed: ${IMPORT_MODES.join(', ')}` });
+    }
+
+    const result = await importInventoryItems(csvText, {
+      mode,
+      dryRun,
+      user: req.session.user.username,
+      fileName: req.query.file_name || req.body.file_name
+    });
+
+    if (!dryRun && !result.committed) {
+      return res.status(400).json({
+        success: false,
+        message: `Import rejected: ${result.errors.length} row(s) have errors`,
+        data: result
+      });
+    }
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${result.valid_rows} of ${result.total_rows} row(s) valid`
+        : `Imported ${result.total_rows} item(s)`,
+      data: result
+    });
+  } catch (err) {
+    console.error('Error importing inventory:', err);
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.statusCode ? err.message : 'Failed to import inventory'
+    });
+  }
+});
+
+// API: Delete multiple inventory items
+app.post('/api/inventory/delete-multiple', requireAuth, async (req, res) => {
+  try {
+    const { ids } = req.body;
+    const deleted = await deleteMultipleInventoryItems(ids, req.session.user.username);
+    
+    // Create notification for successful item deletion
+    try {
+      await createNotification(
+        'Items Deleted Successfully',
+        `${deleted.length} item(s) have been moved to the recycle bin`,
+        'warning'
+      );
+    } catch (notifError) {
+      console.error('Failed to create notification:', notifError);
+    }
+    
+    res.json({ success: true, message: 'Items moved to the recycle bin', count: deleted.length });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to delete items' });
+  }
+});
+
+// API: Update inventory item
+app.put('/api/inventory/:id', requireAuth, async (req, res) => {
+  try {
+    const version = getExpectedVersion(req);
+    if (Number.isNaN(version)) {
+      return res.status(400).json({ success: false, message: 'Invalid version or If-Match header' });
+    }
+
+    const { reason, reference_type, reference_id } = req.body;
+    const updatedItem = await updateInventoryItem(req.params.id, { ...req.body, version }, {
+      reason,
+      reference_type,
+      reference_id,
+      user: req.session.user.username
+    });
+
+    if (!updatedItem) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
+    }
+    
+    // Create notification for successful item update
+    try {
+      await createNotification(
+        'Item Updated Successfully',
+        `${updatedItem.name} (SKU: ${updatedItem.sku}) has been updated in inventory`,
+        'info'
+      );
+    } catch (notifError) {
+      console.error('Failed to create notification:', notifError);
+    }
+    
+    res.set('ETag', formatETag(updatedItem));
+    res.json({ success: true, message: 'Item updated successfully', data: updatedItem });
+  } catch (err) {
+    // A stale version answers with the current record so the client can merge
+    if (err.current) {
+      res.set('ETag', formatETag(err.current));
+    }
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.statusCode ? err.message : 'Failed to update item',
+      errors: err.errors,
+      data: err.current
+    });
+  }
+});
+
+// API: Change only the supplied fields of an inventory item
+app.patch('/api/inventory/:id', requireAuth, async (req, res) => {
+  try {
+    const version = getExpectedVersion(req);
+    if (Number.isNaN(version)) {
+      return res.status(400).json({ success: false, message: 'Invalid version or If-Match header' });
+    }
+
+    // Movement details describe a quantity change; they are not item fields
+    const { reason, reference_type, reference_id, version: _version, ...changes } = req.body;
+    const updatedItem = await patchInventoryItem(req.params.id, { ...changes, version }, {
+      reason,
+      reference_type,
+      reference_id,
+      user: req.session.user.username
+    });
+
+    if (!updatedItem) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
+    }
+
+    res.set('ETag', formatETag(updatedItem));
+    res.json({ success: true, message: 'Item updated successfully', data: updatedItem });
+  } catch (err) {
+    if (err.current) {
+      res.set('ETag', formatETag(err.current));
+    }
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.statusCode ? err.message : 'Failed to update item',
+      errors: err.errors,
+      data: err.current
+    });
+  }
+});
+
+// API: Get all categories
+app.get('/api/categories', requireAuth, async (req, res) => {
+  try {
+    const categories = await getAllCategories();
+    res.json({ 
+      success: true, 
+      data: categories || [] 
+    });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch categories',
+      error: error.message
+    });
+  }
+});
+
+// API: Item counts and values per category subtree
+app.get('/api/categories/rollup', requireAuth, async (req, res) => {
+  try {
+    const method = req.query.method || 'fifo';
+    if (!VALUATION_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid valuation method. Allowed: ${VALUATION_METHODS.join(', ')}`
+      });
+    }
+
+    const rollups = await getCategoryRollups({ method });
+    res.json({ success: true, data: rollups, method });
+  } catch (error) {
+    console.error('Error fetching category rollups:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch category rollups' });
+  }
+});
+
+app.get('/api/categories/:id', requireAuth, async (req, res) => {
+  try {
+    const category = await getCategoryById(req.params.id);
+    if (category) {
+      res.json({ success: true, data: category });
+    } else {
+      res.status(404).json({ success: false, message: 'Category not found' });
+    }
+  } catch (error) {
+    console.error('Error fetching category:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch category' });
+  }
+});
+
+app.post('/api/categories', requireAuth, async (req, res) => {
+  try {
+    const category = await createCategory(req.body);
+
+    try {
+      await createNotification(
+        'Category Created',
+        `Category ${category.category_name} (${category.category_id}) was added`,
+        'info'
+      );
+    } catch (notifError) {
+      console.error('Failed to create notification:', notifError);
+    }
+
+    res.json({ success: true, message: 'Category created successfully', data: category });
+  } catch (error) {
+    console.error('Error creating category:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create category'
+    });
+  }
+});
+
+app.put('/api/categories/:id', requireAuth, async (req, res) => {
+  try {
+    const category = await updateCategory(req.params.id, req.body);
+    if (category) {
+      res.json({ success: true, message: 'Category updated successfully', data: category });
+    } else {
+      res.status(404).json({ success: false, message: 'Category not found' });
+    }
+  } catch (error) {
+    console.error('Error updating category:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update category'
+    });
+  }
+});
+
+app.delete('/api/categories/:id', requireAuth, async (req, res) => {
+  try {
+    const deleted = await deleteCategory(req.params.id);
+    if (deleted) {
+      res.json({ success: true, message: 'Category deleted successfully' });
+    } else {
+      res.status(404).json({ success: false, message: 'Category not found' });
+    }
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to delete category'
+    });
+  }
+});
+
+
+// API: Get all warehouses with their utilization
+app.get('/api/warehouses', requireAuth, async (req, res) => {
+  try {
+    const warehouses = await getAllWarehouses({ active: req.query.active === 'true' });
+    res.json({ success: true, data: warehouses });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to fetch warehouses' });
+  }
+});
+
+app.get('/api/warehouses/:id', requireAuth, async (req, res) => {
+  try {
+    const warehouse = await getWarehouseById(req.params.id);
+    if (warehouse) {
+      res.json({ success: true, data: warehouse });
+    } else {
+      res.status(404).json({ success: false, message: 'Warehouse not found' });
+    }
+  } catch (err) {
+    console.error('Error fetching warehouse:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch warehouse' });
+  }
+});
+
+app.post('/api/warehouses', requireAuth, async (req, res) => {
+  try {
+    const warehouse = await createWarehouse(req.body);
+
+    try {
+      await createNotification(
+        'Warehouse Created',
+        `Warehouse ${warehouse.warehouse_name} (${warehouse.warehouse_id}) was added`,
+        'info'
+      );
+    } catch (notifError) {
+      console.error('Failed to create notification:', notifError);
+    }
+
+    res.json({ success: true, message: 'Warehouse created successfully', data: warehouse });
+  } catch (err) {
+    console.error('Error creating warehouse:', err);
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.statusCode ? err.message : 'Failed to create warehouse'
+    });
+  }
+});
+
+app.put('/api/warehouses/:id', requireAuth, async (req, res) => {
+  try {
+    const warehouse = await updateWarehouse(req.params.id, req.body);
+    if (warehouse) {
+      res.json({ success: true, message: 'Warehouse updated successfully', data: warehouse });
+    } else {
+      res.status(404).json({ success: false, message: 'Warehouse not found' });
+    }
+  } catch (err) {
+    console.error('Error updating warehouse:', err);
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.statusCode ? err.message : 'Failed to update warehouse'
+    });
+  }
+});
+
+// Warehouses are deactivated rather than deleted so history keeps its references
+app.delete('/api/warehouses/:id', requireAuth, async (req, res) => {
+  try {
+    const warehouse = await deactivateWarehouse(req.params.id);
+    if (warehouse) {
+      res.json({ success: true, message: 'Warehouse deactivated successfully', data: warehouse });
+    } else {
+      res.status(404).json({ success: false, message: 'Warehouse not found' });
+    }
+  } catch (err) {
+    console.error('Error deactivating warehouse:', err);
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.statusCode ? err.message : 'Failed to deactivate warehouse'
+    });
+  }
+});
+
+// API: Unit-of-measure catalog
+app.get('/api/units', requireAuth, async (req, res) => {
+  try {
+    const units = await getUnits();
+    res.json({ success: true, data: units });
+  } catch (err) {
+    console.error('Error fetching units:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch units' });
+  }
+});
+
+app.post('/api/units', requireAuth, async (req, res) => {
+  try {
+    const unit = await createUnit(req.body);
+    res.json({ success: true, message: 'Unit created successfully', data: unit });
+  } catch (err) {
+    console.error('Error creating unit:', err);
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.statusCode ? err.message : 'Failed to create unit'
+    });
+  }
+});
+
+// API: Unit conversions of an inventory item, relative to its base unit
+app.get('/api/inventory/:id/units', requireAuth, async (req, res) => {
+  try {
+    const item = await getInventoryItemById(req.params.id);
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
+    }
+
+    const conversions = await getItemUnitConversions(item.id);
+    res.json({ success: true, data: conversions, base_unit: item.unit_of_measure });
+  } catch (err) {
+    console.error('Error fetching item unit conversions:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch unit conversions' });
+  }
+});
+
+app.put('/api/inventory/:id/units/:unit', requireAuth, async (req, res) => {
+  try {
+    const conversion = await setItemUnitConversion(req.params.id, req.params.unit, req.body.factor);
+    if (!conversion) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
+    }
+    res.json({ success: true, message: 'Unit conversion saved', data: conversion });
+  } catch (err) {
+    console.error('Error saving unit conversion:', err);
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.statusCode ? err.message : 'Failed to save unit conversion'
+    });
+  }
+});
+
+app.delete('/api/inventory/:id/units/:unit', requireAuth, async (req, res) => {
+  try {
+    const deleted = await deleteItemUnitConversion(req.params.id, req.params.unit);
+    if (deleted) {
+      res.json({ success: true, message: 'Unit conversion deleted' });
+    } else {
+      res.status(404).json({ success: false, message: 'Unit conversion not found' });
+    }
+  } catch (err) {
+    console.error('Error deleting unit conversion:', err);
+    res.status(500).json({ success: false, message: 'Failed to delete unit conversion' });
+  }
+});
+
+// API: Get scan history
+app.get('/api/scan-history', requireAuth, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    
+    // Validate limit
+    if (isNaN(limit) || limit < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid limit parameter'
+      });
+    }
+
+    const history = await getScanHistory(limit);
+    
+    res.json({ 
+      success: true, 
+      data: history,
+      count: history.length,
+      limit: limit
+    });
+  } catch (err) {
+    console.error('Fetch scan history error:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch scan history',
+      error: err.message 
+    });
+  }
+});
+
+// API: Export scan history; limit caps the number of most recent scans as in the list
+app.get('/api/scan-history/export', requireAuth, async (req, res) => {
+  const limit = req.query.limit === undefined ? null : parseInt(req.query.limit);
+  if (limit !== null && (isNaN(limit) || limit < 1)) {
+    return res.status(400).json({ success: false, message: 'Invalid limit parameter' });
+  }
+
+  await sendExport(req, res, 'scan_history', {}, limit);
+});
+
+// API: Save scan to history
+app.post('/api/scan-history', requireAuth, async (req, res) => {
+  try {
+    // Validate required fields
+    const { code, type } = req.body;
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scan code is required'
+      });
+    }
+
+    // Add user info to scan data
+    const scanData = {
+      ...req.body,
+      scannedBy: req.session.user.username,
+      notes: req.body.notes || `Scanned by ${req.session.user.username}`
+    };
+
+    const savedScan = await saveScanHistory(scanData);
+    
+    if (savedScan) {
+      // Create notification for successful scan
+      await createNotification(
+        'New Scan Recorded',
+        `New ${scanData.type || 'barcode'} scan: ${scanData.code}`,
+        'info'
+      );
+      
+      res.json({ 
+        success: true, 
+        message: 'Scan saved successfully', 
+        data: savedScan 
+      });
+    } else {
+      throw new Error('Failed to save scan to database');
+    }
+  } catch (err) {
+    console.error('Save scan error:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to save scan',
+      error: err.message 
+    });
+  }
+});
+
+// API: Clear scan history
+app.delete('/api/scan-history', requireAuth, async (req, res) => {
+  try {
+    const success = await clearScanHistory();
+    
+    if (success) {
+      // Create notification for successful clear
+      await createNotification(
+        'Scan History Cleared',
+        'All scan history records have been cleared',
+        'warning'
+      );
+      
+      res.json({ 
+        success: true, 
+        message: 'Scan history cleared successfully' 
+      });
+    } else {
+      res.status(500).json({ 
+        success: false, 
+        message: 'Failed to clear scan history' 
+      });
+    }
+  } catch (err) {
+    console.error('Clear scan history error:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to clear scan history',
+      error: err.message 
+    });
+  }
+});
+
+// API: Delete individual scan history record
+app.delete('/api/scan-history/:id', requireAuth, async (req, res) => {
+  try {
+    const scanId = parseInt(req.params.id);
+    
+    if (isNaN(scanId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scan ID format'
+      });
+    }
+
+    const deleted = await deleteScanHistory(scanId);
+    
+    if (deleted) {
+      // Create notification for successful deletion
+      await createNotification(
+        'Scan Deleted',
+        `Scan record ${scanId} has been deleted`,
+        'info'
+      );
+      
+      res.json({
         success: true,
         message: 'Scan deleted successfully'
       });
     } else {
-      res.status(404).json({
-        success: false,
-        message: 'Scan record not found'
-      });
+      res.status(404).json({
+        success: false,
+        message: 'Scan record not found'
+      });
+    }
+  } catch (error) {
+    console.error('Delete scan error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to delete scan',
+      error: error.message
+    });
+  }
+});
+
+// Recycle bin API endpoints
+app.get('/api/recycle-bin', requireAuth, async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && !RECYCLE_BIN_TYPES[type]) {
+      return res.status(400).json({ success: false, message: `Invalid type. Allowed: ${Object.keys(RECYCLE_BIN_TYPES).join(', ')}` });
+    }
+
+    const records = await getRecycleBin({ type, retentionDays: RECYCLE_BIN_RETENTION_DAYS });
+    res.json({ success: true, data: records, count: records.length, retention_days: RECYCLE_BIN_RETENTION_DAYS });
+  } catch (error) {
+    console.error('Error fetching recycle bin:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch recycle bin' });
+  }
+});
+
+app.post('/api/recycle-bin/purge', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const purged = await purgeRecycleBin(RECYCLE_BIN_RETENTION_DAYS);
+    const total = Object.values(purged).reduce((sum, count) => sum + count, 0);
+
+    try {
+      await createNotification(
+        'Recycle Bin Purged',
+        `${req.session.user.username} permanently deleted ${total} record(s) older than ${RECYCLE_BIN_RETENTION_DAYS} day(s)`,
+        'warning'
+      );
+    } catch (notifError) {
+      console.error('Failed to create notification:', notifError);
+    }
+
+    res.json({ success: true, message: `${total} record(s) permanently deleted`, data: purged });
+  } catch (error) {
+    console.error('Error purging recycle bin:', error);
+    res.status(500).json({ success: false, message: 'Failed to purge recycle bin' });
+  }
+});
+
+app.post('/api/recycle-bin/:type/:id/restore', requireAuth, async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    if (!RECYCLE_BIN_TYPES[type]) {
+      return res.status(400).json({ success: false, message: `Invalid type. Allowed: ${Object.keys(RECYCLE_BIN_TYPES).join(', ')}` });
+    }
+
+    const restored = await restoreRecord(type, id, req.session.user.username);
+    if (restored) {
+      res.json({ success: true, message: 'Record restored successfully', data: restored });
+    } else {
+      res.status(404).json({ success: false, message: 'Record not found in the recycle bin' });
     }
   } catch (error) {
-    console.error('Delete scan error:', error);
-    res.status(500).json({ 
+    console.error('Error restoring record:', error);
+    res.status(500).json({ success: false, message: 'Failed to restore record' });
+  }
+});
+
+app.delete('/api/recycle-bin/:type/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    if (!RECYCLE_BIN_TYPES[type]) {
+      return res.status(400).json({ success: false, message: `Invalid type. Allowed: ${Object.keys(RECYCLE_BIN_TYPES).join(', ')}` });
+    }
+
+    const purged = await purgeRecord(type, id, RECYCLE_BIN_RETENTION_DAYS);
+    if (purged) {
+      res.json({ success: true, message: 'Record permanently deleted' });
+    } else {
+      res.status(404).json({ success: false, message: 'Record not found in the recycle bin' });
+    }
+  } catch (error) {
+    console.error('Error purging record:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to delete scan',
-      error: error.message
+      message: error.statusCode ? error.message : 'Failed to purge record'
     });
   }
 });
@@ -648,8 +1687,11 @@ app.get('/api/material-shipments/stats', requireAuth, async (req, res) => {
 
 app.get('/api/material-shipments', requireAuth, async (req, res) => {
   try {
-    const { search, status, type, date } = req.query;
-    const filters = { search, status, type, date };
+    const { search, status, type, date, archived } = req.query;
+    if (archived && !ARCHIVED_FILTERS.includes(archived)) {
+      return res.status(400).json({ success: false, message: `Invalid archived filter. Allowed: ${ARCHIVED_FILTERS.join(', ')}` });
+    }
+    const filters = { search, status, type, date, archived };
     
     const shipments = await getAllMaterialShipments(filters);
     res.json({ 
@@ -667,10 +1709,16 @@ app.get('/api/material-shipments', requireAuth, async (req, res) => {
   }
 });
 
+app.get('/api/material-shipments/export', requireAuth, async (req, res) => {
+  const { search, status, type, date, archived } = req.query;
+  await sendExport(req, res, 'material_shipments', { search, status, type, date, archived });
+});
+
 app.get('/api/material-shipments/:id', requireAuth, async (req, res) => {
   try {
     const shipment = await getMaterialShipmentById(req.params.id);
     if (shipment) {
+      res.set('ETag', formatETag(shipment));
       res.json({ success: true, data: shipment });
     } else {
       res.status(404).json({ success: false, message: 'Shipment not found' });
@@ -687,29 +1735,132 @@ app.post('/api/material-shipments', requireAuth, async (req, res) => {
     res.json({ success: true, message: 'Shipment created successfully', data: newShipment });
   } catch (error) {
     console.error('Error creating material shipment:', error);
-    res.status(500).json({ success: false, message: 'Failed to create shipment' });
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create shipment',
+      errors: error.errors
+    });
+  }
+});
+
+// Receive an inbound shipment into stock, recording any over/short against the shipped quantity
+app.post('/api/material-shipments/:id/receive', requireAuth, async (req, res) => {
+  try {
+    const version = getExpectedVersion(req);
+    if (Number.isNaN(version)) {
+      return res.status(400).json({ success: false, message: 'Invalid version or If-Match header' });
+    }
+
+    const { received_quantity, unit, serial_numbers, warehouse_id, location, received_date, notes } = req.body;
+    const receipt = await receiveMaterialShipment(req.params.id, {
+      received_quantity,
+      unit,
+      serial_numbers,
+      warehouse_id,
+      location,
+      received_date,
+      notes,
+      version
+    }, req.session.user.username);
+
+    if (!receipt) {
+      return res.status(404).json({ success: false, message: 'Shipment not found' });
+    }
+
+    const { shipment } = receipt;
+    if (shipment.discrepancy_quantity !== 0) {
+      try {
+        await createNotification(
+          'Shipment Discrepancy',
+          `Shipment ${shipment.shipment_id} of ${shipment.material_name} was received ${shipment.discrepancy_quantity > 0 ? 'over' : 'short'} by ${Math.abs(shipment.discrepancy_quantity)} ${receipt.item.unit_of_measure}`,
+          'warning'
+        );
+      } catch (notifError) {
+        console.error('Failed to create notification:', notifError);
+      }
+    }
+
+    res.set('ETag', formatETag(shipment));
+    res.json({ success: true, message: 'Shipment received into stock', data: receipt });
+  } catch (error) {
+    console.error('Error receiving material shipment:', error);
+    if (error.current) {
+      res.set('ETag', formatETag(error.current));
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to receive shipment',
+      errors: error.errors,
+      data: error.current
+    });
   }
 });
 
+app.get('/api/material-shipments/:id/history', requireAuth, async (req, res) => {
+  await sendChangeHistory(res, 'material_shipments', req.params.id);
+});
+
 app.put('/api/material-shipments/:id', requireAuth, async (req, res) => {
   try {
-    const updatedShipment = await updateMaterialShipment(req.params.id, req.body);
+    const version = getExpectedVersion(req);
+    if (Number.isNaN(version)) {
+      return res.status(400).json({ success: false, message: 'Invalid version or If-Match header' });
+    }
+
+    const updatedShipment = await updateMaterialShipment(req.params.id, { ...req.body, version }, req.session.user.username);
     if (updatedShipment) {
+      res.set('ETag', formatETag(updatedShipment));
       res.json({ success: true, message: 'Shipment updated successfully', data: updatedShipment });
     } else {
       res.status(404).json({ success: false, message: 'Shipment not found' });
     }
   } catch (error) {
     console.error('Error updating material shipment:', error);
-    res.status(500).json({ success: false, message: 'Failed to update shipment' });
+    if (error.current) {
+      res.set('ETag', formatETag(error.current));
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update shipment',
+      errors: error.errors,
+      data: error.current
+    });
+  }
+});
+
+app.patch('/api/material-shipments/:id', requireAuth, async (req, res) => {
+  try {
+    const version = getExpectedVersion(req);
+    if (Number.isNaN(version)) {
+      return res.status(400).json({ success: false, message: 'Invalid version or If-Match header' });
+    }
+
+    const updatedShipment = await patchMaterialShipment(req.params.id, { ...req.body, version }, req.session.user.username);
+    if (updatedShipment) {
+      res.set('ETag', formatETag(updatedShipment));
+      res.json({ success: true, message: 'Shipment updated successfully', data: updatedShipment });
+    } else {
+      res.status(404).json({ success: false, message: 'Shipment not found' });
+    }
+  } catch (error) {
+    console.error('Error patching material shipment:', error);
+    if (error.current) {
+      res.set('ETag', formatETag(error.current));
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update shipment',
+      errors: error.errors,
+      data: error.current
+    });
   }
 });
 
 app.delete('/api/material-shipments/:id', requireAuth, async (req, res) => {
   try {
-    const deleted = await deleteMaterialShipment(req.params.id);
+    const deleted = await deleteMaterialShipment(req.params.id, req.session.user.username);
     if (deleted) {
-      res.json({ success: true, message: 'Shipment deleted successfully' });
+      res.json({ success: true, message: 'Shipment moved to the recycle bin' });
     } else {
       res.status(404).json({ success: false, message: 'Shipment not found' });
     }
@@ -719,6 +1870,259 @@ app.delete('/api/material-shipments/:id', requireAuth, async (req, res) => {
   }
 });
 
+// Transfer Orders API endpoints
+app.get('/api/transfers', requireAuth, async (req, res) => {
+  try {
+    const { status, warehouse } = req.query;
+    const transfers = await getAllTransferOrders({ status, warehouse });
+    res.json({ success: true, data: transfers, count: transfers.length });
+  } catch (error) {
+    console.error('Error fetching transfer orders:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch transfer orders' });
+  }
+});
+
+app.get('/api/transfers/:id', requireAuth, async (req, res) => {
+  try {
+    const transfer = await getTransferOrderById(req.params.id);
+    if (transfer) {
+      res.json({ success: true, data: transfer });
+    } else {
+      res.status(404).json({ success: false, message: 'Transfer order not found' });
+    }
+  } catch (error) {
+    console.error('Error fetching transfer order:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch transfer order' });
+  }
+});
+
+app.post('/api/transfers', requireAuth, async (req, res) => {
+  try {
+    const transfer = await createTransferOrder({
+      ...req.body,
+      created_by: req.session.user.username
+    });
+    res.json({ success: true, message: 'Transfer order created successfully', data: transfer });
+  } catch (error) {
+    console.error('Error creating transfer order:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create transfer order'
+    });
+  }
+});
+
+app.post('/api/transfers/:id/status', requireAuth, async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!TRANSFER_TRANSITIONS[status]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Allowed: ${Object.keys(TRANSFER_TRANSITIONS).join(', ')}`
+      });
+    }
+
+    const transfer = await updateTransferOrderStatus(req.params.id, status, req.session.user.username);
+    if (!transfer) {
+      return res.status(404).json({ success: false, message: 'Transfer order not found' });
+    }
+
+    if (status === 'received') {
+      try {
+        await createNotification(
+          'Transfer Received',
+          `Transfer ${transfer.transfer_id} from ${transfer.source_warehouse_id} to ${transfer.destination_warehouse_id} has been received`,
+          'success'
+        );
+      } catch (notifError) {
+        console.error('Failed to create notification:', notifError);
+      }
+    }
+
+    res.json({ success: true, message: 'Transfer status updated', data: transfer });
+  } catch (error) {
+    console.error('Error updating transfer status:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update transfer status'
+    });
+  }
+});
+
+// Cycle Count API endpoints
+app.get('/api/cycle-counts', requireAuth, async (req, res) => {
+  try {
+    const { status, warehouse } = req.query;
+    if (status && !CYCLE_COUNT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Allowed: ${CYCLE_COUNT_STATUSES.join(', ')}`
+      });
+    }
+
+    const counts = await getAllCycleCounts({ status, warehouse });
+    res.json({ success: true, data: counts, count: counts.length });
+  } catch (error) {
+    console.error('Error fetching cycle counts:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch cycle counts' });
+  }
+});
+
+app.get('/api/cycle-counts/:id', requireAuth, async (req, res) => {
+  try {
+    const count = await getCycleCountById(req.params.id);
+    if (count) {
+      res.json({ success: true, data: count });
+    } else {
+      res.status(404).json({ success: false, message: 'Cycle count not found' });
+    }
+  } catch (error) {
+    console.error('Error fetching cycle count:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch cycle count' });
+  }
+});
+
+app.post('/api/cycle-counts', requireAuth, async (req, res) => {
+  try {
+    const { warehouse_id, zone, category_id, notes } = req.body;
+    const count = await createCycleCount({
+      warehouse_id,
+      zone,
+      category_id,
+      notes,
+      variance_threshold: CYCLE_COUNT_APPROVAL_THRESHOLD,
+      created_by: req.session.user.username
+    });
+    res.json({ success: true, message: 'Cycle count started', data: count });
+  } catch (error) {
+    console.error('Error creating cycle count:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to start cycle count'
+    });
+  }
+});
+
+// Record typed counts ({ lines: [...] }) or a single scan ({ code, quantity, mode })
+app.post('/api/cycle-counts/:id/counts', requireAuth, async (req, res) => {
+  try {
+    const entries = Array.isArray(req.body.lines) ? req.body.lines : [req.body];
+    const count = await recordCycleCounts(req.params.id, entries, req.session.user.username);
+    if (!count) {
+      return res.status(404).json({ success: false, message: 'Cycle count not found' });
+    }
+    res.json({ success: true, message: 'Counts recorded', data: count });
+  } catch (error) {
+    console.error('Error recording cycle counts:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to record counts'
+    });
+  }
+});
+
+app.post('/api/cycle-counts/:id/approve', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const lineIds = Array.isArray(req.body.line_ids) ? req.body.line_ids.map(Number) : null;
+    const count = await approveCycleCountLines(req.params.id, lineIds, req.session.user.username);
+    if (!count) {
+      return res.status(404).json({ success: false, message: 'Cycle count not found' });
+    }
+    res.json({ success: true, message: 'Variances approved', data: count });
+  } catch (error) {
+    console.error('Error approving cycle count:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to approve variances'
+    });
+  }
+});
+
+app.post('/api/cycle-counts/:id/post', requireAuth, async (req, res) => {
+  try {
+    const count = await postCycleCount(req.params.id, req.session.user.username);
+    if (!count) {
+      return res.status(404).json({ success: false, message: 'Cycle count not found' });
+    }
+
+    try {
+      await createNotification(
+        'Cycle Count Posted',
+        `Cycle count ${count.count_id} in ${count.warehouse_id} posted ${count.adjustments} adjustment(s), net variance ${count.summary.variance_quantity} units worth ${count.summary.variance_value.toFixed(2)}`,
+        'info'
+      );
+    } catch (notifError) {
+      console.error('Failed to create notification:', notifError);
+    }
+
+    res.json({ success: true, message: 'Cycle count posted', data: count });
+  } catch (error) {
+    console.error('Error posting cycle count:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to post cycle count'
+    });
+  }
+});
+
+app.post('/api/cycle-counts/:id/cancel', requireAuth, async (req, res) => {
+  try {
+    const count = await cancelCycleCount(req.params.id);
+    if (!count) {
+      return res.status(404).json({ success: false, message: 'Cycle count not found' });
+    }
+    res.json({ success: true, message: 'Cycle count cancelled', data: count });
+  } catch (error) {
+    console.error('Error cancelling cycle count:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to cancel cycle count'
+    });
+  }
+});
+
+// Replenishment API endpoints
+app.get('/api/replenishment/suggestions', requireAuth, async (req, res) => {
+  try {
+    const { category, warehouse } = req.query;
+    const suggestions = await getReplenishmentSuggestions({ category, warehouse });
+    res.json({ success: true, data: suggestions, count: suggestions.length });
+  } catch (error) {
+    console.error('Error fetching replenishment suggestions:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch replenishment suggestions' });
+  }
+});
+
+app.post('/api/replenishment/shipments', requireAuth, async (req, res) => {
+  try {
+    const { lines, source, destination, estimated_delivery } = req.body;
+    const shipments = await createReplenishmentShipments(lines, {
+      source,
+      destination,
+      estimated_delivery,
+      user: req.session.user.username
+    });
+
+    try {
+      await createNotification(
+        'Replenishment Drafted',
+        `${shipments.length} draft inbound shipment(s) created from replenishment suggestions by ${req.session.user.username}`,
+        'info'
+      );
+    } catch (notifError) {
+      console.error('Failed to create notification:', notifError);
+    }
+
+    res.json({ success: true, message: 'Draft shipments created successfully', data: shipments, count: shipments.length });
+  } catch (error) {
+    console.error('Error creating replenishment shipments:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create draft shipments'
+    });
+  }
+});
+
 // Order Shipments API endpoints
 app.get('/api/order-shipments/stats', requireAuth, async (req, res) => {
   try {
@@ -732,8 +2136,11 @@ app.get('/api/order-shipments/stats', requireAuth, async (req, res) => {
 
 app.get('/api/order-shipments', requireAuth, async (req, res) => {
   try {
-    const { search, status, priority, date } = req.query;
-    const filters = { search, status, priority, date };
+    const { search, status, priority, date, archived } = req.query;
+    if (archived && !ARCHIVED_FILTERS.includes(archived)) {
+      return res.status(400).json({ success: false, message: `Invalid archived filter. Allowed: ${ARCHIVED_FILTERS.join(', ')}` });
+    }
+    const filters = { search, status, priority, date, archived };
     const orders = await getAllOrderShipments(filters);
     res.json({ success: true, data: orders || [], count: orders ? orders.length : 0 });
   } catch (error) {
@@ -742,10 +2149,16 @@ app.get('/api/order-shipments', requireAuth, async (req, res) => {
   }
 });
 
+app.get('/api/order-shipments/export', requireAuth, async (req, res) => {
+  const { search, status, priority, date, archived } = req.query;
+  await sendExport(req, res, 'order_shipments', { search, status, priority, date, archived });
+});
+
 app.get('/api/order-shipments/:id', requireAuth, async (req, res) => {
   try {
     const order = await getOrderShipmentById(req.params.id);
     if (order) {
+      res.set('ETag', formatETag(order));
       res.json({ success: true, data: order });
     } else {
       res.status(404).json({ success: false, message: 'Order not found' });
@@ -758,33 +2171,148 @@ app.get('/api/order-shipments/:id', requireAuth, async (req, res) => {
 
 app.post('/api/order-shipments', requireAuth, async (req, res) => {
   try {
-    const newOrder = await createOrderShipment(req.body);
-    res.json({ success: true, message: 'Order created successfully', data: newOrder });
+    const newOrder = await createOrderShipment(req.body, {
+      allowBackorder: ALLOW_BACKORDERS,
+      user: req.session.user.username
+    });
+
+    // Reserve lots first-expiry-first-out; the order stands even if lots run short
+    if (newOrder.status === 'processing') {
+      try {
+        await allocateOrderLots(newOrder.id);
+      } catch (allocError) {
+        console.error('Failed to allocate order lots:', allocError);
+      }
+    }
+
+    if (newOrder.backordered_quantity > 0) {
+      try {
+        await createNotification(
+          'Order Backordered',
+          `Order ${newOrder.order_id} for ${newOrder.item_code} is short ${newOrder.backordered_quantity}; only ${newOrder.available_quantity} were available to promise`,
+          'warning'
+        );
+      } catch (notifError) {
+        console.error('Failed to create notification:', notifError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: newOrder.backordered_quantity > 0
+        ? `Order created with ${newOrder.backordered_quantity} backordered`
+        : 'Order created successfully',
+      data: newOrder
+    });
   } catch (error) {
     console.error('Error creating order shipment:', error);
-    res.status(500).json({ success: false, message: 'Failed to create order' });
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create order',
+      errors: error.errors
+    });
   }
 });
 
+// Ship or release the serials reserved for an order once its status moves on
+const syncOrderSerials = async (order, user) => {
+  const action = order.status === 'shipped' ? 'ship' : order.status === 'cancelled' ? 'release' : null;
+  if (!action) {
+    return;
+  }
+
+  try {
+    await updateOrderSerials(order.id, action, user);
+  } catch (serialError) {
+    console.error('Failed to update order serials:', serialError);
+  }
+};
+
+app.get('/api/order-shipments/:id/history', requireAuth, async (req, res) => {
+  await sendChangeHistory(res, 'order_shipments', req.params.id);
+});
+
 app.put('/api/order-shipments/:id', requireAuth, async (req, res) => {
   try {
-    const updatedOrder = await updateOrderShipment(req.params.id, req.body);
+    const version = getExpectedVersion(req);
+    if (Number.isNaN(version)) {
+      return res.status(400).json({ success: false, message: 'Invalid version or If-Match header' });
+    }
+
+    const updatedOrder = await updateOrderShipment(req.params.id, { ...req.body, version }, req.session.user.username, {
+      allowBackorder: ALLOW_BACKORDERS
+    });
     if (updatedOrder) {
+      if (updatedOrder.status === 'processing') {
+        try {
+          await allocateOrderLots(updatedOrder.id);
+        } catch (allocError) {
+          console.error('Failed to allocate order lots:', allocError);
+        }
+      }
+      await syncOrderSerials(updatedOrder, req.session.user.username);
+      res.set('ETag', formatETag(updatedOrder));
       res.json({ success: true, message: 'Order updated successfully', data: updatedOrder });
     } else {
       res.status(404).json({ success: false, message: 'Order not found' });
     }
   } catch (error) {
     console.error('Error updating order shipment:', error);
-    res.status(500).json({ success: false, message: 'Failed to update order' });
+    if (error.current) {
+      res.set('ETag', formatETag(error.current));
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update order',
+      errors: error.errors,
+      data: error.current
+    });
+  }
+});
+
+app.patch('/api/order-shipments/:id', requireAuth, async (req, res) => {
+  try {
+    const version = getExpectedVersion(req);
+    if (Number.isNaN(version)) {
+      return res.status(400).json({ success: false, message: 'Invalid version or If-Match header' });
+    }
+
+    const updatedOrder = await patchOrderShipment(req.params.id, { ...req.body, version }, req.session.user.username, {
+      allowBackorder: ALLOW_BACKORDERS
+    });
+    if (updatedOrder) {
+      if (updatedOrder.status === 'processing') {
+        try {
+          await allocateOrderLots(updatedOrder.id);
+        } catch (allocError) {
+          console.error('Failed to allocate order lots:', allocError);
+        }
+      }
+      await syncOrderSerials(updatedOrder, req.session.user.username);
+      res.set('ETag', formatETag(updatedOrder));
+      res.json({ success: true, message: 'Order updated successfully', data: updatedOrder });
+    } else {
+      res.status(404).json({ success: false, message: 'Order not found' });
+    }
+  } catch (error) {
+    console.error('Error patching order shipment:', error);
+    if (error.current) {
+      res.set('ETag', formatETag(error.current));
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update order',
+      errors: error.errors,
+      data: error.current
+    });
   }
 });
 
 app.delete('/api/order-shipments/:id', requireAuth, async (req, res) => {
   try {
-    const deleted = await deleteOrderShipment(req.params.id);
+    const deleted = await deleteOrderShipment(req.params.id, req.session.user.username);
     if (deleted) {
-      res.json({ success: true, message: 'Order deleted successfully' });
+      res.json({ success: true, message: 'Order moved to the recycle bin' });
     } else {
       res.status(404).json({ success: false, message: 'Order not found' });
     }
@@ -794,18 +2322,52 @@ app.delete('/api/order-shipments/:id', requireAuth, async (req, res) => {
   }
 });
 
+app.get('/api/order-shipments/:id/lots', requireAuth, async (req, res) => {
+  try {
+    const allocations = await getOrderLotAllocations(req.params.id);
+    res.json({ success: true, data: allocations, count: allocations.length });
+  } catch (error) {
+    console.error('Error fetching order lot allocations:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch order lot allocations' });
+  }
+});
+
+app.post('/api/order-shipments/:id/allocate-lots', requireAuth, async (req, res) => {
+  try {
+    const allocation = await allocateOrderLots(req.params.id);
+    if (allocation) {
+      res.json({ success: true, message: 'Lots allocated', data: allocation });
+    } else {
+      res.status(404).json({ success: false, message: 'Order not found' });
+    }
+  } catch (error) {
+    console.error('Error allocating order lots:', error);
+    res.status(500).json({ success: false, message: 'Failed to allocate lots' });
+  }
+});
+
 app.post('/api/order-shipments/:id/status', requireAuth, async (req, res) => {
   try {
     const { status, setShipDate, setDeliveryDate } = req.body;
-    const updated = await updateOrderShipmentStatus(req.params.id, status, { setShipDate, setDeliveryDate });
+    const updated = await updateOrderShipmentStatus(req.params.id, status, {
+      setShipDate,
+      setDeliveryDate,
+      user: req.session.user.username,
+      allowBackorder: ALLOW_BACKORDERS
+    });
     if (updated) {
+      await syncOrderSerials(updated, req.session.user.username);
       res.json({ success: true, message: 'Order status updated', data: updated });
     } else {
       res.status(404).json({ success: false, message: 'Order not found' });
     }
   } catch (error) {
     console.error('Error updating order status:', error);
-    res.status(500).json({ success: false, message: 'Failed to update order status' });
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update order status',
+      data: error.current
+    });
   }
 });
 
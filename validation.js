@@ -0,0 +1,110 @@
+// Schema validation for write requests
+
+// Date part (YYYY-MM-DD) of a date string or a Date read from the database
+const toDateKey = (value) => {
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+// Check one value against its rule; returns an error message or null.
+// Rules: type ('string', 'number', 'integer', 'date' or 'boolean'), required,
+// nullable, min (numbers), enum (allowed values) and notBefore (dates, the
+// name of a date field this one cannot precede).
+const checkField = (field, value, rule) => {
+  if (isEmpty(value)) {
+    return rule.nullable ? null : `${field} cannot be empty`;
+  }
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        return `${field} must be text`;
+      }
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof value === 'boolean' || isNaN(Number(value))) {
+        return `${field} must be a number`;
+      }
+      if (rule.type === 'integer' && !Number.isInteger(Number(value))) {
+        return `${field} must be a whole number`;
+      }
+      if (rule.min !== undefined && Number(value) < rule.min) {
+        return `${field} must be at least ${rule.min}`;
+      }
+      break;
+    case 'date':
+      if (value instanceof Date ? isNaN(value) : (!/^\d{4}-\d{2}-\d{2}/.test(String(value)) || isNaN(Date.parse(value)))) {
+        return `${field} must be a date (YYYY-MM-DD)`;
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return `${field} must be true or false`;
+      }
+      break;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${field} must be one of: ${rule.enum.join(', ')}`;
+  }
+  return null;
+};
+
+// Check data against a resource schema, returning one message per invalid field.
+// A full check requires every required field and ignores fields outside the
+// schema; a partial check (PATCH) only looks at the fields present and rejects
+// the ones the schema does not allow to change.
+const validateFields = (schema, data, { partial = false } = {}) => {
+  const record = data || {};
+  const errors = [];
+
+  if (partial) {
+    for (const field of Object.keys(record)) {
+      if (!schema[field]) {
+        errors.push(`${field} cannot be changed`);
+      }
+    }
+  }
+
+  const invalid = new Set();
+  for (const [field, rule] of Object.entries(schema)) {
+    if (record[field] === undefined) {
+      if (!partial && rule.required) {
+        errors.push(`${field} is required`);
+        invalid.add(field);
+      }
+      continue;
+    }
+    const error = rule.required && isEmpty(record[field])
+      ? `${field} is required`
+      : checkField(field, record[field], rule);
+    if (error) {
+      errors.push(error);
+      invalid.add(field);
+    }
+  }
+
+  // Date ordering, once both dates are known to be valid
+  for (const [field, rule] of Object.entries(schema)) {
+    const other = rule.notBefore;
+    if (!other || invalid.has(field) || invalid.has(other) || isEmpty(record[field]) || isEmpty(record[other])) {
+      continue;
+    }
+    if (toDateKey(record[field]) < toDateKey(record[other])) {
+      errors.push(`${field} cannot be before ${other}`);
+    }
+  }
+
+  return errors;
+};
+
+module.exports = {
+  validateFields
+};